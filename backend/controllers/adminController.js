@@ -1,6 +1,12 @@
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { User } from "../models/User.js";
 import ErrorHandler from "../utils/ErrorHandler.js";
+import {
+  isOutboxMode,
+  listOutboxEmails,
+  clearOutboxEmails,
+} from "../utils/sendEmail.js";
+import { listOutboxSms, clearOutboxSms } from "../utils/smsProviders.js";
 
 //@desc Get all users
 //@route GET /api/admin/users
@@ -80,3 +86,43 @@ export const deleteUser = asyncHandler(async (req, res) => {
     message: "User deleted",
   });
 });
+
+//@desc Get messages captured by the development outbox
+//@route GET /api/admin/outbox
+//@access Admin
+export const getOutbox = asyncHandler(async (req, res, next) => {
+  if (!isOutboxMode()) {
+    return next(new ErrorHandler("Outbox is disabled in this environment", 404));
+  }
+
+  const { channel = "email", to, template } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const messages =
+    channel === "sms"
+      ? await listOutboxSms({ to, limit })
+      : await listOutboxEmails({ to, template, limit });
+
+  res.status(200).json({
+    success: true,
+    channel,
+    count: messages.length,
+    messages,
+  });
+});
+
+//@desc Clear the development outbox
+//@route DELETE /api/admin/outbox
+//@access Admin
+export const clearOutbox = asyncHandler(async (req, res, next) => {
+  if (!isOutboxMode()) {
+    return next(new ErrorHandler("Outbox is disabled in this environment", 404));
+  }
+
+  await Promise.all([clearOutboxEmails(), clearOutboxSms()]);
+
+  res.status(200).json({
+    success: true,
+    message: "Outbox cleared",
+  });
+});
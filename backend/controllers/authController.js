@@ -2,10 +2,36 @@ import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import { User } from "../models/User.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
-import { generateOtp, otpExpiryAfter, isOtpExpired } from "../utils/otp.js";
-import { sendOtp } from "../utils/twilio.js";
-import { sendEmail } from "../utils/sendEmail.js";
-import { signResetToken, signToken } from "../utils/jwt.js";
+import { sendOtp } from "../utils/sms.js";
+import { sendTemplateEmail, queueTemplateEmail } from "../utils/sendEmail.js";
+import { Session } from "../models/Session.js";
+import {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+} from "../utils/session.js";
+
+const OTP_ERRORS = {
+  invalid: "Invalid or expired OTP",
+  expired: "Invalid or expired OTP",
+  locked: "Too many failed attempts. Please request a new OTP later",
+};
+
+// Reason an OTP cannot be sent right now (lockout or resend cool-down)
+const otpThrottleMessage = (user) => {
+  if (user.isOtpLocked()) {
+    const mins = Math.ceil((user.otpLockedUntil - Date.now()) / 60000);
+    return `Too many failed attempts. Try again in ${mins} minutes`;
+  }
+  const wait = user.otpCooldownRemaining();
+  if (wait > 0) return `Please wait for ${wait} seconds`;
+  return null;
+};
+
+const otpErrorResponse = (res, result) =>
+  res
+    .status(result === "locked" ? 429 : 400)
+    .json({ message: OTP_ERRORS[result] });
 
 /**
  * STEP 1: name, mobile, role -> send OTP
@@ -19,32 +45,25 @@ export const signup = asyncHandler(async (req, res) => {
 
   let user = await User.findOne({ mobile });
 
-  const otp = generateOtp();
-  const otpExpiry = otpExpiryAfter();
-
   if (!user) {
-    user = await User.create({
-      name,
-      mobile,
-      role,
-      otp,
-      otpExpiry,
-      isVerified: false,
-    });
+    user = new User({ name, mobile, role, isVerified: false });
   } else {
     if (user.isVerified) {
       return res
         .status(409)
         .json({ message: "Mobile already registered. Please login." });
     }
+    const throttled = otpThrottleMessage(user);
+    if (throttled) return res.status(429).json({ message: throttled });
+
     user.name = name;
     user.role = role;
-    user.otp = otp;
-    user.otpExpiry = otpExpiry;
-    await user.save();
   }
 
-  await sendOtp(mobile, otp);
+  const otp = await user.setOtp("signup");
+  await user.save();
+
+  await sendOtp(mobile, otp, "signup");
 
   return res.status(200).json({
     message: "OTP sent to your mobile number",
@@ -61,19 +80,19 @@ export const verifyOtp = asyncHandler(async (req, res) => {
   if (!mobile || !otp)
     return res.status(400).json({ message: "mobile and otp are required" });
 
-  const user = await User.findOne({ mobile });
+  const user = await User.findOne({ mobile }).select("+otp");
   if (!user) return res.status(404).json({ message: "User not found" });
 
   if (user.isVerified)
     return res.status(400).json({ message: "Already verified" });
 
-  if (user.otp !== otp || isOtpExpired(user.otpExpiry)) {
-    return res.status(400).json({ message: "Invalid or expired OTP" });
+  const result = await user.verifyOtp(otp, "signup");
+  if (result !== "valid") {
+    await user.save();
+    return otpErrorResponse(res, result);
   }
 
   user.isVerified = true;
-  user.otp = undefined;
-  user.otpExpiry = undefined;
   await user.save();
 
   return res.status(200).json({ message: "OTP verified successfully" });
@@ -115,6 +134,13 @@ export const completeSignup = asyncHandler(async (req, res) => {
   user.password = await bcrypt.hash(password, 10);
   await user.save();
 
+  queueTemplateEmail({
+    to: user.email,
+    template: "welcome",
+    data: { name: user.name, clientUrl: process.env.CLIENT_URL },
+    locale: user.preferredLanguage,
+  });
+
   return res.status(200).json({ message: "Signup completed successfully" });
 });
 
@@ -136,14 +162,12 @@ export const login = asyncHandler(async (req, res) => {
   const ok = await bcrypt.compare(password, user.password);
   if (!ok) return res.status(401).json({ message: "Invalid credentials" });
 
-  const token = signToken({
-    id: user._id,
-    role: user.role,
-  });
+  const { token, refreshToken } = await createSession(user, req);
 
   return res.status(200).json({
     message: "Login successful",
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
@@ -166,12 +190,16 @@ export const requestLoginOtp = asyncHandler(async (req, res) => {
   const user = await User.findOne({ mobile });
   if (!user) return res.status(404).json({ message: "User not found" });
 
-  const otp = generateOtp();
-  user.otp = otp;
-  user.otpExpiry = otpExpiryAfter();
+  if (!user.isVerified)
+    return res.status(400).json({ message: "User not registered yet." });
+
+  const throttled = otpThrottleMessage(user);
+  if (throttled) return res.status(429).json({ message: throttled });
+
+  const otp = await user.setOtp("login");
   await user.save();
 
-  await sendOtp(mobile, otp);
+  await sendOtp(mobile, otp, "login");
 
   return res.status(200).json({ message: "OTP sent" });
 });
@@ -185,25 +213,19 @@ export const verifyLoginOtp = asyncHandler(async (req, res) => {
   if (!mobile || !otp)
     return res.status(400).json({ message: "mobile and otp are required" });
 
-  const user = await User.findOne({ mobile });
+  const user = await User.findOne({ mobile }).select("+otp");
   if (!user) return res.status(404).json({ message: "User not found" });
 
-  if (user.otp !== otp || isOtpExpired(user.otpExpiry)) {
-    return res.status(400).json({ message: "Invalid or expired OTP" });
-  }
-
-  user.otp = undefined;
-  user.otpExpiry = undefined;
+  const result = await user.verifyOtp(otp, "login");
   await user.save();
+  if (result !== "valid") return otpErrorResponse(res, result);
 
-  const token = signToken({
-    id: user._id,
-    role: user.role,
-  });
+  const { token, refreshToken } = await createSession(user, req);
 
   return res.status(200).json({
     message: "Login successful",
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
@@ -215,13 +237,16 @@ export const verifyLoginOtp = asyncHandler(async (req, res) => {
 });
 
 /**
- * RESEND OTP (for signup or login)
+ * RESEND OTP (for signup, login or password reset)
  */
 export const resendOtp = asyncHandler(async (req, res) => {
   const { mobile, context = "signup" } = req.body;
   if (!mobile)
     return res.status(400).json({ message: "mobile number is required" });
 
+  if (!["signup", "login", "reset"].includes(context))
+    return res.status(400).json({ message: "Invalid OTP context" });
+
   const user = await User.findOne({ mobile });
   if (!user) return res.status(404).json({ message: "User not found" });
 
@@ -239,25 +264,28 @@ export const resendOtp = asyncHandler(async (req, res) => {
     }
   }
 
-  if (user.otpExpiry && user.otpExpiry > Date.now() - 30 * 1000) {
-    return res.status(400).json({ message: "Please wait for 30 seconds" });
+  if (context === "reset") {
+    if (!user.password) {
+      return res.status(400).json({ message: "Please Complete signup first" });
+    }
   }
 
-  const otp = generateOtp();
-  user.otp = otp;
-  user.otpExpiry = otpExpiryAfter();
+  const throttled = otpThrottleMessage(user);
+  if (throttled) return res.status(429).json({ message: throttled });
+
+  const otp = await user.setOtp(context);
   await user.save();
 
-  await sendOtp(mobile, otp);
+  await sendOtp(mobile, otp, context);
 
   return res.status(200).json({
-    message: OTP`resent for ${context}`,
+    message: `OTP resent for ${context}`,
     userId: user._id,
   });
 });
 
 /**
- * FORGOT PASSWORD (JWT-based)
+ * FORGOT PASSWORD: email a single-use reset link
  */
 export const forgotPassword = asyncHandler(async (req, res) => {
   const { email } = req.body;
@@ -266,31 +294,127 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email });
   if (!user) return res.status(404).json({ message: "User not found" });
 
-  const resetToken = signResetToken({ id: user._id, email: user.email });
+  const resetToken = user.getResetPasswordToken();
+  await user.save();
 
   const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
 
-  const html = `
-    <h3>Password Reset Request</h3>
-    <p>You requested a password reset.</p>
-    <p>Click the link below to reset your password (valid for ${
-      process.env.RESET_JWT_EXPIRES || "10m"
-    }):</p>
-    <a href="${resetUrl}" target="_blank">${resetUrl}</a>
-  `;
-
-  await sendEmail({
-    to: user.email,
-    subject: "Password Reset Request",
-    text: `Reset your password here: ${resetUrl}`,
-    html,
-  });
+  try {
+    await sendTemplateEmail({
+      to: user.email,
+      template: "passwordReset",
+      data: { name: user.name, resetUrl, expiresIn: "10 minutes" },
+      locale: user.preferredLanguage,
+    });
+  } catch (error) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+    throw error;
+  }
 
   return res
     .status(200)
     .json({ message: "Password reset link sent to your email" });
 });
 
+/**
+ * RESET PASSWORD: consume the emailed token and set a new password
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password, confirmPassword } = req.body;
+
+  if (!password || !confirmPassword)
+    return res
+      .status(400)
+      .json({ message: "password & confirmPassword are required" });
+
+  if (password !== confirmPassword)
+    return res.status(400).json({ message: "Passwords do not match" });
+
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+  // Consume the token in the same query that finds it so a link can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      resetPasswordToken: hashedToken,
+      resetPasswordExpires: { $gt: Date.now() },
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  );
+  if (!user)
+    return res
+      .status(400)
+      .json({ message: "Reset link is invalid or has expired" });
+
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  return res.status(200).json({ message: "Password reset successfully" });
+});
+
+/**
+ * FORGOT PASSWORD (mobile): send OTP for users without an email
+ */
+export const forgotPasswordOtp = asyncHandler(async (req, res) => {
+  const { mobile } = req.body;
+  if (!mobile)
+    return res.status(400).json({ message: "mobile number is required" });
+
+  const user = await User.findOne({ mobile });
+  if (!user) return res.status(404).json({ message: "User not found" });
+
+  if (!user.password)
+    return res.status(400).json({ message: "Please Complete signup first" });
+
+  const throttled = otpThrottleMessage(user);
+  if (throttled) return res.status(429).json({ message: throttled });
+
+  const otp = await user.setOtp("reset");
+  await user.save();
+
+  await sendOtp(mobile, otp, "reset");
+
+  return res.status(200).json({ message: "OTP sent to your mobile number" });
+});
+
+/**
+ * RESET PASSWORD (mobile): verify OTP and set a new password
+ */
+export const resetPasswordWithOtp = asyncHandler(async (req, res) => {
+  const { mobile, otp, password, confirmPassword } = req.body;
+
+  if (!mobile || !otp || !password || !confirmPassword)
+    return res.status(400).json({
+      message: "mobile, otp, password & confirmPassword are required",
+    });
+
+  if (password !== confirmPassword)
+    return res.status(400).json({ message: "Passwords do not match" });
+
+  const user = await User.findOne({ mobile }).select("+otp");
+  if (!user) return res.status(404).json({ message: "User not found" });
+
+  const result = await user.verifyOtp(otp, "reset");
+  if (result !== "valid") {
+    await user.save();
+    return otpErrorResponse(res, result);
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  return res.status(200).json({ message: "Password reset successfully" });
+});
+
 /**
  * CHANGE PASSWORD
  */
@@ -313,9 +437,92 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = await bcrypt.hash(newPassword, 10);
   await user.save();
 
+  // Keep this device signed in, log out every other one
+  await revokeUserSessions(user._id, req.session?._id);
+
   return res.status(200).json({ message: "Password changed successfully" });
 });
 
+/**
+ * REFRESH: rotate refresh token and issue a new access token
+ */
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken)
+    return res.status(400).json({ message: "refreshToken is required" });
+
+  const result = await rotateSession(refreshToken, req);
+  if (!result)
+    return res
+      .status(401)
+      .json({ message: "Invalid or expired refresh token" });
+
+  return res.status(200).json({
+    message: "Token refreshed",
+    token: result.token,
+    refreshToken: result.refreshToken,
+  });
+});
+
+/**
+ * SESSIONS: list active devices of the logged-in user
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastSeenAt createdAt expiresAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return res.status(200).json({
+    count: sessions.length,
+    sessions: sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.session?._id.toString(),
+    })),
+  });
+});
+
+/**
+ * SESSIONS: log out a single device
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!session) return res.status(404).json({ message: "Session not found" });
+
+  return res.status(200).json({ message: "Session logged out" });
+});
+
+/**
+ * LOGOUT: end the current session
+ */
+export const logout = asyncHandler(async (req, res) => {
+  if (req.session) {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+  }
+
+  return res.status(200).json({ message: "Logged out successfully" });
+});
+
+/**
+ * LOGOUT EVERYWHERE: end all sessions of the logged-in user
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  const result = await revokeUserSessions(req.user._id);
+
+  return res.status(200).json({
+    message: "Logged out from all devices",
+    revoked: result.modifiedCount,
+  });
+});
+
 /**
  * TEMP DELETE
  */
@@ -0,0 +1,230 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { Property } from "../models/Property.js";
+import { Favorite } from "../models/Favorite.js";
+import { Inquiry } from "../models/Inquiry.js";
+import { transitionProperty } from "../utils/propertyStateMachine.js";
+
+const FLAGGED_STATUSES = ["warned", "queued"];
+const FLAGGED = { "duplicateCheck.status": { $in: FLAGGED_STATUSES } };
+const SUMMARY_FIELDS =
+  "title price listingType bedrooms bathrooms areaSqft location.address location.area location.city images status createdBy createdAt viewCount favoriteCount inquiryCount";
+
+// Union-find over flagged listings and their candidates
+const groupListings = (flagged) => {
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    const root = parent.get(id);
+    if (root === id) return id;
+    const top = find(root);
+    parent.set(id, top);
+    return top;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const listings = new Map();
+  const pairs = [];
+
+  for (const listing of flagged) {
+    const id = listing._id.toString();
+    listings.set(id, listing);
+    find(id);
+
+    for (const candidate of listing.duplicateCheck.candidates) {
+      if (!candidate.property) continue;
+      const otherId = candidate.property._id.toString();
+      if (!listings.has(otherId)) listings.set(otherId, candidate.property);
+      union(id, otherId);
+      pairs.push({ a: id, b: otherId, score: candidate.score, signals: candidate.signals });
+    }
+  }
+
+  const groups = new Map();
+  for (const id of listings.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, { listings: [], pairs: [], maxScore: 0 });
+    groups.get(root).listings.push(listings.get(id));
+  }
+  for (const pair of pairs) {
+    const group = groups.get(find(pair.a));
+    group.pairs.push(pair);
+    group.maxScore = Math.max(group.maxScore, pair.score);
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.listings.length > 1)
+    .sort((x, y) => y.maxScore - x.maxScore);
+};
+
+//@desc Suspected duplicate listings, grouped
+//@route GET /api/admin/duplicates
+//@access Admin
+export const getDuplicateGroups = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const flagged = await Property.find(FLAGGED)
+    .sort({ "duplicateCheck.checkedAt": -1 })
+    .limit(limit)
+    .select(`${SUMMARY_FIELDS} duplicateCheck`)
+    .populate("createdBy", "name email")
+    .populate({
+      path: "duplicateCheck.candidates.property",
+      select: SUMMARY_FIELDS,
+      populate: { path: "createdBy", select: "name email" },
+    })
+    .lean();
+
+  const groups = groupListings(flagged).map((group) => ({
+    ...group,
+    listings: group.listings.map(({ duplicateCheck, images, ...listing }) => ({
+      ...listing,
+      image: images?.find((image) => image.isMain)?.url || images?.[0]?.url,
+      duplicateStatus: duplicateCheck?.status,
+    })),
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: groups.length,
+    data: groups,
+  });
+});
+
+// Move buyers' favorites and inquiries from a duplicate to the listing we keep
+const mergeInto = async (duplicate, keep) => {
+  const favorites = await Favorite.find({ property: duplicate._id });
+  let movedFavorites = 0;
+
+  for (const favorite of favorites) {
+    const alreadySaved = await Favorite.exists({
+      user: favorite.user,
+      property: keep._id,
+    });
+    if (alreadySaved) {
+      await favorite.deleteOne();
+    } else {
+      favorite.property = keep._id;
+      await favorite.save();
+      movedFavorites += 1;
+    }
+  }
+
+  const inquiries = await Inquiry.updateMany(
+    { property: duplicate._id },
+    { $set: { property: keep._id, owner: keep.createdBy } }
+  );
+
+  await Property.updateOne(
+    { _id: keep._id },
+    {
+      $inc: {
+        viewCount: duplicate.viewCount || 0,
+        shareCount: duplicate.shareCount || 0,
+        favoriteCount: movedFavorites,
+        inquiryCount: inquiries.modifiedCount,
+      },
+    }
+  );
+  await Property.updateOne({ _id: duplicate._id }, { $set: { favoriteCount: 0 } });
+
+  return { movedFavorites, movedInquiries: inquiries.modifiedCount };
+};
+
+//@desc Resolve a suspected duplicate: dismiss, remove or merge into another listing
+//@route POST /api/admin/duplicates/:id/resolve
+//@access Admin
+export const resolveDuplicate = asyncHandler(async (req, res) => {
+  const { action, keepId } = req.body;
+
+  if (!["dismiss", "remove", "merge"].includes(action)) {
+    return res.status(400).json({
+      success: false,
+      message: "action must be 'dismiss', 'remove' or 'merge'",
+    });
+  }
+
+  const { id } = req.params;
+  const property = mongoose.isValidObjectId(id) ? await Property.findById(id) : null;
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+  }
+
+  // Only open suspicions can be resolved, so a merge never runs twice
+  const duplicateStatus = property.duplicateCheck?.status;
+  if (!FLAGGED_STATUSES.includes(duplicateStatus)) {
+    return res.status(409).json({
+      success: false,
+      message: duplicateStatus && duplicateStatus !== "clear"
+        ? `This duplicate was already ${duplicateStatus}`
+        : "This listing is not flagged as a duplicate",
+    });
+  }
+
+  let keep = null;
+  if (action === "merge") {
+    const isCandidate =
+      mongoose.isValidObjectId(keepId) &&
+      property.duplicateCheck.candidates.some(
+        (candidate) => candidate.property?.toString() === keepId
+      );
+    keep = isCandidate ? await Property.findById(keepId) : null;
+    if (!keep) {
+      return res.status(400).json({
+        success: false,
+        message: "keepId must be one of the suspected duplicates of this listing",
+      });
+    }
+  }
+
+  const resolvedStatus =
+    action === "dismiss" ? "dismissed" : action === "merge" ? "merged" : "removed";
+
+  // Claim the resolution first so two concurrent requests can't both merge
+  const claim = await Property.updateOne(
+    { _id: property._id, "duplicateCheck.status": { $in: FLAGGED_STATUSES } },
+    {
+      $set: {
+        "duplicateCheck.status": resolvedStatus,
+        "duplicateCheck.resolvedBy": req.user._id,
+        "duplicateCheck.resolvedAt": new Date(),
+      },
+    }
+  );
+  if (claim.modifiedCount === 0) {
+    return res.status(409).json({
+      success: false,
+      message: "This duplicate was already resolved",
+    });
+  }
+
+  let merged = null;
+  if (action === "merge") merged = await mergeInto(property, keep);
+
+  if (action !== "dismiss" && property.status !== "archived") {
+    await transitionProperty(property, "archived", {
+      user: req.user,
+      reason: keep ? `Duplicate of "${keep.title}"` : "Duplicate listing",
+    });
+  } else if (property.moderation?.reason === "duplicate") {
+    // A dismissed new listing still needs a normal review
+    property.moderation =
+      property.status === "pending"
+        ? { queuedAt: property.moderation.queuedAt, reason: "new" }
+        : undefined;
+  }
+
+  property.duplicateCheck.status = resolvedStatus;
+  property.duplicateCheck.resolvedBy = req.user._id;
+  property.duplicateCheck.resolvedAt = new Date();
+  await property.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Duplicate ${resolvedStatus}`,
+    data: { status: property.status, duplicateCheck: property.duplicateCheck, ...(merged && { merged }) },
+  });
+});
@@ -1,15 +1,32 @@
 // controllers/enhancedPropertyController.js
-import { Property } from "../models/Property.js";
+import {
+  Property,
+  PROPERTY_LISTING_TYPES,
+  PROPERTY_RENTAL_LISTING_TYPES,
+} from "../models/Property.js";
 import { User } from "../models/User.js";
+import { Favorite } from "../models/Favorite.js";
+import { Inquiry } from "../models/Inquiry.js";
+import {
+  trackPropertyEvent,
+  getPropertyEventStats,
+} from "../utils/eventTracker.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { AdvancedApiFeatures } from "../utils/apiFeatures.js";
+import { transitionProperty } from "../utils/propertyStateMachine.js";
+import {
+  getPricePrediction,
+  priceBadgeForListing,
+} from "../utils/searchHelper.js";
+import { validateCoordinates } from "../utils/propertyInput.js";
 
 // Enhanced property view with analytics tracking
 export const getPropertyByIdEnhanced = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { trackView = true } = req.query;
+  const { trackView = "true" } = req.query;
 
   const property = await Property.findById(id)
+    .select("+priceBadgeCache")
     .populate("createdBy", "name role phone email")
     .lean();
 
@@ -46,7 +63,8 @@ export const getPropertyByIdEnhanced = asyncHandler(async (req, res) => {
     const isOwner =
       req.user && property.createdBy._id.toString() === req.user._id.toString();
 
-    if (!isOwner) {
+    // Count one view per viewer per day
+    if (!isOwner && (await trackPropertyEvent(req, property._id, "view"))) {
       await Property.findByIdAndUpdate(id, {
         $inc: { viewCount: 1 },
       });
@@ -60,11 +78,15 @@ export const getPropertyByIdEnhanced = asyncHandler(async (req, res) => {
     status: "active",
     "location.city": property.location.city,
     propertyType: property.propertyType,
+    // A rental is only similar to rentals of the same kind
+    listingType: PROPERTY_RENTAL_LISTING_TYPES.includes(property.listingType)
+      ? property.listingType
+      : { $nin: PROPERTY_RENTAL_LISTING_TYPES },
     bedrooms: {
       $in: [property.bedrooms - 1, property.bedrooms, property.bedrooms + 1],
     },
   })
-    .select("title price location bedrooms images")
+    .select("title price listingType rentPeriod location bedrooms images")
     .limit(4)
     .lean();
 
@@ -73,20 +95,58 @@ export const getPropertyByIdEnhanced = asyncHandler(async (req, res) => {
   if (property.location.coordinates) {
     const [lng, lat] = property.location.coordinates.coordinates;
 
-    nearbyProperties = await Property.find({
-      _id: { $ne: id },
-      status: "active",
-      "location.coordinates": {
-        $geoWithin: {
-          $centerSphere: [[lng, lat], 2 / 6378.1], // 2km radius
+    // Nearest first within 2km
+    nearbyProperties = await Property.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [lng, lat] },
+          key: "location.coordinates",
+          distanceField: "distanceMeters",
+          maxDistance: 2000,
+          query: { _id: { $ne: property._id }, status: "active" },
+          spherical: true,
         },
       },
-    })
-      .select("title price location images")
-      .limit(3)
-      .lean();
+      { $limit: 3 },
+      {
+        $project: {
+          title: 1,
+          price: 1,
+          listingType: 1,
+          rentPeriod: 1,
+          location: 1,
+          images: 1,
+          distance: { $round: [{ $divide: ["$distanceMeters", 1000] }, 2] },
+        },
+      },
+    ]);
+  }
+
+  if (req.user) {
+    const favorited = await Favorite.favoritedIds(req.user._id, [property._id]);
+    property.isFavorited = favorited.has(property._id.toString());
   }
 
+  // Price timeline (who changed it stays private)
+  property.priceHistory = (property.priceHistory || []).map(
+    ({ price, changedAt }) => ({ price, changedAt })
+  );
+  const originalPrice = property.priceHistory[0]?.price ?? property.price;
+  property.priceTrend = {
+    originalPrice,
+    previousPrice: property.previousPrice,
+    changeSinceListed: property.price - originalPrice,
+    changePercentSinceListed: originalPrice
+      ? Math.round(((property.price - originalPrice) / originalPrice) * 1000) / 10
+      : 0,
+    priceDropPercent: property.priceDropPercent || 0,
+    lastPriceDropAt: property.lastPriceDropAt,
+  };
+
+  // Fairly priced / above market badge (cached on the listing)
+  property.priceBadge = await priceBadgeForListing(property);
+  delete property.priceBadgeCache;
+
   return res.status(200).json({
     success: true,
     data: property,
@@ -97,6 +157,70 @@ export const getPropertyByIdEnhanced = asyncHandler(async (req, res) => {
   });
 });
 
+// Estimate a price from comparable listings
+// GET /api/properties/valuation?city=&area=&type=&bedrooms=&sqft=&lat=&lng=&listingType=
+export const getPropertyValuation = asyncHandler(async (req, res) => {
+  const { city, area, type, propertyType, listingType = "sale" } = req.query;
+  const areaSqft = Number(req.query.sqft ?? req.query.areaSqft);
+  const bedrooms =
+    req.query.bedrooms !== undefined ? Number(req.query.bedrooms) : undefined;
+
+  if (!Number.isFinite(areaSqft) || areaSqft <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: "sqft must be a positive number",
+    });
+  }
+
+  if (bedrooms !== undefined && !(Number.isInteger(bedrooms) && bedrooms >= 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "bedrooms must be a whole number",
+    });
+  }
+
+  if (!PROPERTY_LISTING_TYPES.includes(listingType)) {
+    return res.status(400).json({
+      success: false,
+      message: `listingType must be one of: ${PROPERTY_LISTING_TYPES.join(", ")}`,
+    });
+  }
+
+  let coordinates = {};
+  if (req.query.lat !== undefined || req.query.lng !== undefined) {
+    const coordValidation = validateCoordinates(req.query.lat, req.query.lng);
+    if (!coordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: coordValidation.error,
+      });
+    }
+    coordinates = { lat: coordValidation.lat, lng: coordValidation.lng };
+  }
+
+  if (!city && !coordinates.lat) {
+    return res.status(400).json({
+      success: false,
+      message: "city or lat/lng is required",
+    });
+  }
+
+  const valuation = await getPricePrediction({
+    city,
+    area,
+    propertyType: type || propertyType,
+    bedrooms,
+    areaSqft,
+    listingType,
+    ...coordinates,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: valuation,
+  });
+});
+
 // Get property analytics for owner/admin
 export const getPropertyAnalytics = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -128,27 +252,37 @@ export const getPropertyAnalytics = asyncHandler(async (req, res) => {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
 
-  // Get analytics data (you would implement proper analytics tracking)
+  const [events, periodInquiries] = await Promise.all([
+    getPropertyEventStats(property._id, startDate),
+    Inquiry.countDocuments({
+      property: property._id,
+      createdAt: { $gte: startDate },
+    }),
+  ]);
+
   const analytics = {
     views: {
       total: property.viewCount || 0,
-      period: Math.floor((property.viewCount || 0) * 0.3), // Mock recent views
+      period: events.totals.view || 0,
+      uniqueVisitors: events.uniqueVisitors,
     },
     inquiries: {
       total: property.inquiryCount || 0,
-      period: Math.floor((property.inquiryCount || 0) * 0.4),
+      period: periodInquiries,
     },
     shares: {
       total: property.shareCount || 0,
-      period: Math.floor((property.shareCount || 0) * 0.2),
+      period: events.totals.share || 0,
     },
     favorites: {
       total: property.favoriteCount || 0,
-      period: Math.floor((property.favoriteCount || 0) * 0.3),
+      period: events.totals.favorite || 0,
+    },
+    contactReveals: {
+      period: events.totals.contact_reveal || 0,
     },
-    searchAppearances: Math.floor(Math.random() * 100) + 50,
-    avgTimeOnPage: "2:34",
-    bounceRate: "45%",
+    searchAppearances: events.totals.search_impression || 0,
+    timeSeries: events.timeSeries,
   };
 
   res.json({
@@ -163,6 +297,54 @@ export const getPropertyAnalytics = asyncHandler(async (req, res) => {
   });
 });
 
+// Reveal owner contact details (tracked as a lead signal)
+export const revealPropertyContact = asyncHandler(async (req, res) => {
+  const property = await Property.findOne({
+    _id: req.params.id,
+    status: "active",
+  })
+    .select("contact createdBy")
+    .lean();
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+  }
+
+  await trackPropertyEvent(req, property._id, "contact_reveal");
+
+  res.json({
+    success: true,
+    data: property.contact,
+  });
+});
+
+// Record a share of the listing
+export const shareProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findOne({
+    _id: req.params.id,
+    status: "active",
+  }).select("_id");
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+  }
+
+  if (await trackPropertyEvent(req, property._id, "share")) {
+    await Property.updateOne({ _id: property._id }, { $inc: { shareCount: 1 } });
+  }
+
+  res.json({
+    success: true,
+    message: "Share recorded",
+  });
+});
+
 // Bulk operations for properties
 export const bulkUpdateProperties = asyncHandler(async (req, res) => {
   const { propertyIds, operation, data } = req.body;
@@ -184,27 +366,42 @@ export const bulkUpdateProperties = asyncHandler(async (req, res) => {
     query.createdBy = req.user._id;
   }
 
-  let updateResult;
+  // Status operations go through the state machine one listing at a time
+  const statusOperations = {
+    activate: "active",
+    deactivate: "hold",
+    archive: "archived",
+  };
 
-  switch (operation) {
-    case "activate":
-      updateResult = await Property.updateMany(query, {
-        status: "active",
-        ...(isAdmin && { approvedBy: req.user._id, approvedAt: new Date() }),
-      });
-      break;
+  if (statusOperations[operation]) {
+    const properties = await Property.find(query);
+    const failed = [];
+    let modified = 0;
 
-    case "deactivate":
-      updateResult = await Property.updateMany(query, { status: "hold" });
-      break;
+    for (const property of properties) {
+      try {
+        await transitionProperty(property, statusOperations[operation], {
+          user: req.user,
+          reason: data?.reason,
+        });
+        modified += 1;
+      } catch (error) {
+        failed.push({ id: property._id, message: error.message });
+      }
+    }
 
-    case "archive":
-      updateResult = await Property.updateMany(query, {
-        status: "archived",
-        archivedAt: new Date(),
-      });
-      break;
+    return res.json({
+      success: true,
+      message: `${operation} completed successfully`,
+      modified,
+      matched: properties.length,
+      failed,
+    });
+  }
 
+  let updateResult;
+
+  switch (operation) {
     case "feature":
       if (!isAdmin) {
         return res.status(403).json({
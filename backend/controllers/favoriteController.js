@@ -0,0 +1,203 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { Favorite } from "../models/Favorite.js";
+import { Property } from "../models/Property.js";
+import { trackPropertyEvent } from "../utils/eventTracker.js";
+
+const normalizeFolder = (folder) =>
+  typeof folder === "string" && folder.trim() ? folder.trim() : null;
+
+//@desc  Add a property to the shortlist
+//@route POST /api/user/favorites
+//@access Private
+export const addFavorite = asyncHandler(async (req, res) => {
+  const { propertyId, folder, note, priceDropAlert } = req.body;
+
+  if (!propertyId || !mongoose.isValidObjectId(propertyId)) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid propertyId is required",
+    });
+  }
+
+  const property = await Property.findOne({
+    _id: propertyId,
+    status: "active",
+  }).select("_id");
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+  }
+
+  let favorite;
+  try {
+    favorite = await Favorite.create({
+      user: req.user._id,
+      property: propertyId,
+      folder: normalizeFolder(folder),
+      note: note?.trim(),
+      priceDropAlert: priceDropAlert === true,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Property is already in your favorites",
+      });
+    }
+    throw error;
+  }
+
+  // Only a newly inserted favorite counts towards the listing
+  await Property.updateOne({ _id: propertyId }, { $inc: { favoriteCount: 1 } });
+  await trackPropertyEvent(req, property._id, "favorite");
+
+  res.status(201).json({
+    success: true,
+    message: "Added to favorites",
+    data: favorite,
+  });
+});
+
+//@desc  Remove a property from the shortlist
+//@route DELETE /api/user/favorites/:propertyId
+//@access Private
+export const removeFavorite = asyncHandler(async (req, res) => {
+  const favorite = await Favorite.findOneAndDelete({
+    user: req.user._id,
+    property: req.params.propertyId,
+  });
+
+  if (!favorite) {
+    return res.status(404).json({
+      success: false,
+      message: "Property is not in your favorites",
+    });
+  }
+
+  await Property.updateOne(
+    { _id: favorite.property, favoriteCount: { $gt: 0 } },
+    { $inc: { favoriteCount: -1 } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Removed from favorites",
+  });
+});
+
+//@desc  Move a favorite to another folder, edit its note or price-drop alert
+//@route PATCH /api/user/favorites/:propertyId
+//@access Private
+export const updateFavorite = asyncHandler(async (req, res) => {
+  const { folder, note, priceDropAlert } = req.body;
+  const update = {};
+
+  if (folder !== undefined) update.folder = normalizeFolder(folder);
+  if (note !== undefined) update.note = note?.trim() || "";
+  if (typeof priceDropAlert === "boolean") update.priceDropAlert = priceDropAlert;
+
+  const favorite = await Favorite.findOneAndUpdate(
+    { user: req.user._id, property: req.params.propertyId },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+
+  if (!favorite) {
+    return res.status(404).json({
+      success: false,
+      message: "Property is not in your favorites",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Favorite updated",
+    data: favorite,
+  });
+});
+
+//@desc  List my favorites (optionally one folder)
+//@route GET /api/user/favorites
+//@access Private
+export const getFavorites = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const filter = { user: req.user._id };
+  if (req.query.folder !== undefined) {
+    filter.folder = normalizeFolder(req.query.folder);
+  }
+
+  const [favorites, total] = await Promise.all([
+    Favorite.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(
+        "property",
+        "title price previousPrice priceDropPercent location bedrooms bathrooms areaSqft images propertyType status slug"
+      )
+      .lean(),
+    Favorite.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    count: favorites.length,
+    page,
+    limit,
+    data: favorites,
+  });
+});
+
+//@desc  List my favorite folders with counts
+//@route GET /api/user/favorites/folders
+//@access Private
+export const getFavoriteFolders = asyncHandler(async (req, res) => {
+  const folders = await Favorite.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(req.user._id) } },
+    {
+      $group: {
+        _id: "$folder",
+        count: { $sum: 1 },
+        updatedAt: { $max: "$updatedAt" },
+      },
+    },
+    { $sort: { updatedAt: -1 } },
+    { $project: { _id: 0, folder: "$_id", count: 1, updatedAt: 1 } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: folders,
+  });
+});
+
+//@desc  Rename a folder (or merge it into an existing one)
+//@route PATCH /api/user/favorites/folders/:folder
+//@access Private
+export const renameFavoriteFolder = asyncHandler(async (req, res) => {
+  const name = normalizeFolder(req.body.name);
+
+  const result = await Favorite.updateMany(
+    { user: req.user._id, folder: req.params.folder },
+    { $set: { folder: name } }
+  );
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: "Folder not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Folder updated",
+    updated: result.modifiedCount,
+  });
+});
@@ -0,0 +1,304 @@
+import mongoose from "mongoose";
+import {
+  Inquiry,
+  INQUIRY_STATUSES,
+  INQUIRY_CONTACT_TIMES,
+  INQUIRY_MESSAGE_MAX_LENGTH,
+} from "../models/Inquiry.js";
+import { Property } from "../models/Property.js";
+import { User } from "../models/User.js";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { queueTemplateEmail } from "../utils/sendEmail.js";
+import { notifyInApp } from "../utils/notify.js";
+import { toE164 } from "../utils/phone.js";
+
+const OPEN_STATUSES = ["new", "contacted", "visit_scheduled"];
+
+/**
+ * @desc    Send an inquiry (lead) to the owner of a listing
+ * @route   POST /api/properties/:id/inquiries
+ * @access  Private
+ */
+export const createInquiry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    message,
+    preferredContactTime,
+    visitRequested,
+    preferredVisitDate,
+    phone,
+    email,
+  } = req.body;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid property id",
+    });
+  }
+
+  if (
+    preferredContactTime !== undefined &&
+    !INQUIRY_CONTACT_TIMES.includes(preferredContactTime)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `preferredContactTime must be one of: ${INQUIRY_CONTACT_TIMES.join(", ")}`,
+    });
+  }
+
+  const contactPhone = toE164(phone || req.user.mobile);
+  if (!contactPhone) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide a valid phone number",
+    });
+  }
+
+  if (message !== undefined && typeof message !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "message must be text",
+    });
+  }
+
+  if (message?.trim().length > INQUIRY_MESSAGE_MAX_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `message must be at most ${INQUIRY_MESSAGE_MAX_LENGTH} characters`,
+    });
+  }
+
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide a valid email address",
+    });
+  }
+
+  const property = await Property.findById(id).select(
+    "title status createdBy slug"
+  );
+  if (!property || property.status !== "active") {
+    return res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+  }
+
+  if (property.createdBy.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: "You cannot send an inquiry for your own property",
+    });
+  }
+
+  // One open lead per buyer per listing
+  const existing = await Inquiry.findOne({
+    property: id,
+    buyer: req.user._id,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: "You already have an open inquiry for this property",
+      data: existing,
+    });
+  }
+
+  if (preferredVisitDate && isNaN(new Date(preferredVisitDate))) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid preferred visit date",
+    });
+  }
+
+  const inquiry = await Inquiry.create({
+    property: id,
+    owner: property.createdBy,
+    buyer: req.user._id,
+    name: req.user.name,
+    phone: contactPhone,
+    email: email || req.user.email,
+    message: message?.trim(),
+    preferredContactTime,
+    visitRequest: {
+      requested: Boolean(visitRequested || preferredVisitDate),
+      preferredDate: preferredVisitDate ? new Date(preferredVisitDate) : undefined,
+    },
+    statusHistory: [{ status: "new", changedBy: req.user._id }],
+  });
+
+  await Property.findByIdAndUpdate(id, { $inc: { inquiryCount: 1 } });
+
+  // Notify the owner about the new lead
+  const owner = await User.findById(property.createdBy).select(
+    "name email preferredLanguage"
+  );
+  if (owner) {
+    const inboxUrl = `${process.env.CLIENT_URL}/dashboard/inquiries`;
+
+    notifyInApp({
+      user: owner._id,
+      type: "new_inquiry",
+      title: `New inquiry for "${property.title}"`,
+      message: inquiry.message || `${inquiry.name} is interested in your property`,
+      link: inboxUrl,
+      data: { inquiryId: inquiry._id, propertyId: property._id },
+    });
+
+    queueTemplateEmail({
+      to: owner.email,
+      template: "newInquiry",
+      data: {
+        name: owner.name,
+        title: property.title,
+        buyerName: inquiry.name,
+        buyerPhone: inquiry.phone,
+        message: inquiry.message || "-",
+        contactTime: inquiry.preferredContactTime,
+        visit: inquiry.visitRequest.requested
+          ? inquiry.visitRequest.preferredDate?.toDateString() || "Requested"
+          : "Not requested",
+        inboxUrl,
+      },
+      locale: owner.preferredLanguage,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Inquiry sent successfully",
+    data: inquiry,
+  });
+});
+
+/**
+ * @desc    Agent inbox - inquiries received on my listings
+ * @route   GET /api/properties/me/inquiries
+ * @access  Private (Agent/Admin)
+ */
+export const getMyInquiries = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+  const skip = (page - 1) * limit;
+
+  const filter = { owner: req.user._id };
+
+  if (req.query.status) {
+    if (!INQUIRY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status value",
+        validStatuses: INQUIRY_STATUSES,
+      });
+    }
+    filter.status = req.query.status;
+  }
+  if (req.query.propertyId) {
+    if (!mongoose.isValidObjectId(req.query.propertyId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid propertyId",
+      });
+    }
+    filter.property = req.query.propertyId;
+  }
+
+  const [inquiries, total, statusSummary] = await Promise.all([
+    Inquiry.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("property", "title price location.city location.area slug")
+      .populate("buyer", "name email mobile")
+      .lean(),
+    Inquiry.countDocuments(filter),
+    Inquiry.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.user._id) } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    page,
+    limit,
+    total,
+    statusSummary,
+    data: inquiries,
+  });
+});
+
+/**
+ * @desc    Move an inquiry through the pipeline
+ * @route   PATCH /api/properties/me/inquiries/:inquiryId
+ * @access  Private (Agent/Admin)
+ */
+export const updateInquiryStatus = asyncHandler(async (req, res) => {
+  const { inquiryId } = req.params;
+  const { status, note, visitScheduledAt } = req.body;
+
+  if (!INQUIRY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid status value",
+      validStatuses: INQUIRY_STATUSES,
+    });
+  }
+
+  const inquiry = mongoose.isValidObjectId(inquiryId)
+    ? await Inquiry.findById(inquiryId)
+    : null;
+  if (!inquiry) {
+    return res.status(404).json({
+      success: false,
+      message: "Inquiry not found",
+    });
+  }
+
+  if (
+    req.user.role !== "admin" &&
+    inquiry.owner.toString() !== req.user._id.toString()
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to update this inquiry",
+    });
+  }
+
+  if (status === "visit_scheduled") {
+    if (!visitScheduledAt || isNaN(new Date(visitScheduledAt))) {
+      return res.status(400).json({
+        success: false,
+        message: "visitScheduledAt is required to schedule a visit",
+      });
+    }
+    inquiry.visitRequest.scheduledAt = new Date(visitScheduledAt);
+  }
+
+  inquiry.status = status;
+  inquiry.statusHistory.push({
+    status,
+    note: note?.trim(),
+    changedBy: req.user._id,
+  });
+  await inquiry.save();
+
+  if (status === "visit_scheduled") {
+    notifyInApp({
+      user: inquiry.buyer,
+      type: "visit_scheduled",
+      title: "Your property visit is scheduled",
+      message: `Visit on ${inquiry.visitRequest.scheduledAt.toLocaleString("en-IN")}`,
+      data: { inquiryId: inquiry._id, propertyId: inquiry.property },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Inquiry marked as '${status}'`,
+    data: inquiry,
+  });
+});
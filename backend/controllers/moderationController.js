@@ -0,0 +1,327 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { Property } from "../models/Property.js";
+import { PropertyRevision } from "../models/PropertyRevision.js";
+import { ModerationAction } from "../models/ModerationAction.js";
+import { transitionProperty } from "../utils/propertyStateMachine.js";
+import {
+  MODERATION_REASONS,
+  MODERATION_LOCK_MINUTES,
+  MODERATION_SLA_HOURS,
+  buildModerationChecklist,
+  moderationSla,
+} from "../utils/moderation.js";
+
+const QUEUED = { "moderation.queuedAt": { $ne: null } };
+
+const lockExpiry = (now) =>
+  new Date(now.getTime() + MODERATION_LOCK_MINUTES * 60 * 1000);
+
+//@desc Moderation queue, oldest first
+//@route GET /api/admin/moderation/queue
+//@access Admin
+export const getModerationQueue = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const now = new Date();
+
+  const filter = { ...QUEUED };
+  if (req.query.reason) filter["moderation.reason"] = req.query.reason;
+
+  if (req.query.mine === "true") {
+    filter["moderation.claimedBy"] = req.user._id;
+  } else if (req.query.includeClaimed !== "true") {
+    // Hide listings another moderator is working on
+    filter.$or = [
+      { "moderation.claimedBy": null },
+      { "moderation.claimedBy": req.user._id },
+      { "moderation.lockExpiresAt": { $lte: now } },
+    ];
+  }
+
+  const slaCutoff = new Date(now.getTime() - MODERATION_SLA_HOURS * 60 * 60 * 1000);
+
+  const [listings, total, queued, breached] = await Promise.all([
+    Property.find(filter)
+      .sort({ "moderation.queuedAt": 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("title price listingType location.city location.area images status moderation createdBy createdAt")
+      .populate("createdBy", "name email role")
+      .populate("moderation.claimedBy", "name")
+      .lean(),
+    Property.countDocuments(filter),
+    Property.countDocuments(QUEUED),
+    Property.countDocuments({ "moderation.queuedAt": { $lte: slaCutoff } }),
+  ]);
+
+  const data = listings.map((listing) => ({
+    ...listing,
+    images: listing.images?.slice(0, 1),
+    photoCount: listing.images?.length || 0,
+    sla: moderationSla(listing.moderation.queuedAt, now),
+    isLocked:
+      Boolean(listing.moderation.claimedBy) &&
+      listing.moderation.lockExpiresAt > now &&
+      listing.moderation.claimedBy._id.toString() !== req.user._id.toString(),
+  }));
+
+  res.status(200).json({
+    success: true,
+    page,
+    limit,
+    total,
+    summary: { queued, slaBreached: breached, slaHours: MODERATION_SLA_HOURS },
+    data,
+  });
+});
+
+//@desc Claim (lock) a queued listing for review, with its checklist
+//@route POST /api/admin/moderation/:id/claim
+//@access Admin
+export const claimListing = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const now = new Date();
+
+  const property = await Property.findOneAndUpdate(
+    {
+      _id: id,
+      ...QUEUED,
+      $or: [
+        { "moderation.claimedBy": null },
+        { "moderation.claimedBy": req.user._id },
+        { "moderation.lockExpiresAt": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        "moderation.claimedBy": req.user._id,
+        "moderation.claimedAt": now,
+        "moderation.lockExpiresAt": lockExpiry(now),
+      },
+    },
+    { new: true }
+  ).populate("createdBy", "name email mobile role");
+
+  if (!property) {
+    const existing = await Property.findById(id)
+      .select("moderation")
+      .populate("moderation.claimedBy", "name");
+
+    if (!existing?.moderation?.queuedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Listing is not in the moderation queue",
+      });
+    }
+    return res.status(409).json({
+      success: false,
+      message: `Listing is being reviewed by ${existing.moderation.claimedBy?.name || "another moderator"}`,
+      lockExpiresAt: existing.moderation.lockExpiresAt,
+    });
+  }
+
+  // Show what changed when an already approved listing was edited
+  const revision = property.moderation.revision
+    ? await PropertyRevision.findOne({
+        property: property._id,
+        version: property.moderation.revision,
+      }).lean()
+    : null;
+
+  res.status(200).json({
+    success: true,
+    data: property,
+    checklist: await buildModerationChecklist(property),
+    sla: moderationSla(property.moderation.queuedAt, now),
+    revision,
+    reasons: MODERATION_REASONS,
+  });
+});
+
+//@desc Release my claim on a listing
+//@route DELETE /api/admin/moderation/:id/claim
+//@access Admin
+export const releaseListing = asyncHandler(async (req, res) => {
+  const result = await Property.updateOne(
+    { _id: req.params.id, "moderation.claimedBy": req.user._id },
+    {
+      $unset: {
+        "moderation.claimedBy": 1,
+        "moderation.claimedAt": 1,
+        "moderation.lockExpiresAt": 1,
+      },
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: "You have not claimed this listing",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Listing released back to the queue",
+  });
+});
+
+//@desc Approve or reject a claimed listing
+//@route POST /api/admin/moderation/:id/decision
+//@access Admin
+export const decideListing = asyncHandler(async (req, res) => {
+  const { decision, reasonCode, note } = req.body;
+
+  if (!["approve", "reject"].includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      message: "decision must be 'approve' or 'reject'",
+    });
+  }
+
+  if (decision === "reject" && !MODERATION_REASONS[reasonCode]) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid reasonCode is required to reject a listing",
+      reasons: MODERATION_REASONS,
+    });
+  }
+
+  const property = await Property.findOne({ _id: req.params.id, ...QUEUED });
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: "Listing is not in the moderation queue",
+    });
+  }
+
+  if (property.moderation.claimedBy?.toString() !== req.user._id.toString()) {
+    return res.status(409).json({
+      success: false,
+      message: "Claim the listing before deciding on it",
+    });
+  }
+
+  const now = new Date();
+  const { queuedAt, claimedAt, reason: queueReason } = property.moderation;
+  const checklist = await buildModerationChecklist(property);
+  const reason =
+    decision === "reject"
+      ? [MODERATION_REASONS[reasonCode], note?.trim()].filter(Boolean).join(" ")
+      : note?.trim();
+
+  if (decision === "reject") {
+    await transitionProperty(property, "rejected", { user: req.user, reason });
+  } else if (property.status === "pending") {
+    await transitionProperty(property, "active", { user: req.user, reason });
+  } else {
+    // Approving an edit of a live listing only takes it out of the queue
+    property.moderation = undefined;
+    await property.save();
+  }
+
+  // Approving a suspected duplicate means the moderator checked it
+  if (decision === "approve" && queueReason === "duplicate") {
+    await Property.updateOne(
+      { _id: property._id },
+      {
+        $set: {
+          "duplicateCheck.status": "dismissed",
+          "duplicateCheck.resolvedBy": req.user._id,
+          "duplicateCheck.resolvedAt": now,
+        },
+      }
+    );
+  }
+
+  const action = await ModerationAction.create({
+    property: property._id,
+    moderator: req.user._id,
+    decision,
+    queueReason,
+    reasonCode: decision === "reject" ? reasonCode : undefined,
+    reason,
+    checklist,
+    queuedAt,
+    claimedAt,
+    decidedAt: now,
+    slaBreached: moderationSla(queuedAt, now).breached,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: decision === "approve" ? "Listing approved" : "Listing rejected",
+    data: { status: property.status, action },
+  });
+});
+
+//@desc Per-moderator throughput and SLA stats
+//@route GET /api/admin/moderation/stats
+//@access Admin
+export const getModerationStats = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const match = { decidedAt: { $gte: since } };
+  if (req.query.moderator && mongoose.isValidObjectId(req.query.moderator)) {
+    match.moderator = new mongoose.Types.ObjectId(req.query.moderator);
+  }
+
+  const moderators = await ModerationAction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$moderator",
+        decisions: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $eq: ["$decision", "approve"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$decision", "reject"] }, 1, 0] } },
+        slaBreaches: { $sum: { $cond: ["$slaBreached", 1, 0] } },
+        avgHandleMs: { $avg: { $subtract: ["$decidedAt", "$claimedAt"] } },
+        avgTurnaroundMs: { $avg: { $subtract: ["$decidedAt", "$queuedAt"] } },
+        lastDecisionAt: { $max: "$decidedAt" },
+      },
+    },
+    { $sort: { decisions: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "moderator",
+        pipeline: [{ $project: { name: 1, email: 1 } }],
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        moderator: { $first: "$moderator" },
+        decisions: 1,
+        approved: 1,
+        rejected: 1,
+        slaBreaches: 1,
+        perDay: { $round: [{ $divide: ["$decisions", days] }, 1] },
+        avgHandleMinutes: { $round: [{ $divide: ["$avgHandleMs", 60 * 1000] }, 1] },
+        avgTurnaroundHours: {
+          $round: [{ $divide: ["$avgTurnaroundMs", 60 * 60 * 1000] }, 1],
+        },
+        lastDecisionAt: 1,
+      },
+    },
+  ]);
+
+  const topReasons = await ModerationAction.aggregate([
+    { $match: { ...match, decision: "reject" } },
+    { $group: { _id: "$reasonCode", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $project: { _id: 0, reasonCode: "$_id", count: 1 } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    days,
+    slaHours: MODERATION_SLA_HOURS,
+    data: moderators,
+    topReasons,
+  });
+});
@@ -1,7 +1,35 @@
-import { Property, PROPERTY_STATUS } from "../models/Property.js";
+import {
+  Property,
+  PROPERTY_STATUS,
+  ensureSingleMainImage,
+  priceChangeFields,
+  monthlyRentFor,
+  addressKeyFor,
+} from "../models/Property.js";
 import { User } from "../models/User.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { AdvancedApiFeatures } from "../utils/apiFeatures.js";
+import { PropertyRevision } from "../models/PropertyRevision.js";
+import { propertyStateAtRevision } from "../utils/propertyRevisions.js";
+import { notifyPriceDrop } from "../utils/priceAlerts.js";
+import { sendPropertyExport } from "../utils/propertyExport.js";
+import {
+  buildPropertyData,
+  validateCoordinates,
+} from "../utils/propertyInput.js";
+import {
+  checkForDuplicates,
+  duplicateWarnings,
+} from "../utils/duplicateDetector.js";
+import {
+  afterPropertyUpdate,
+  checkUpdateForDuplicates,
+} from "../utils/propertyChanges.js";
+import {
+  assertTransition,
+  allowedTransitions,
+  transitionProperty,
+} from "../utils/propertyStateMachine.js";
 
 
 // Environment-based debugging
@@ -34,20 +62,12 @@ const buildSort = (req) => {
   return { [sortBy]: sortOrder };
 };
 
-const validateCoordinates = (lat, lng) => {
-  const parsedLat = parseFloat(lat);
-  const parsedLng = parseFloat(lng);
-  
-  if (isNaN(parsedLat) || isNaN(parsedLng)) {
-    return { isValid: false, error: "Invalid latitude or longitude format" };
-  }
-  
-  if (parsedLat < -90 || parsedLat > 90 || parsedLng < -180 || parsedLng > 180) {
-    return { isValid: false, error: "Coordinates out of valid range" };
-  }
-  
-  return { isValid: true, lat: parsedLat, lng: parsedLng };
-};
+// Card fields returned by the nearby search (contact details stay private)
+const NEARBY_FIELDS = Object.fromEntries(
+  ['title', 'price', 'listingType', 'rentPeriod', 'location', 'images', 'propertyType',
+    'bedrooms', 'bathrooms', 'areaSqft', 'pricePerSqft', 'isFeatured', 'createdBy',
+    'distanceMeters'].map((field) => [field, 1])
+);
 
 const sanitizePropertyData = (data, userRole) => {
   const allowedFields = [
@@ -55,7 +75,8 @@ const sanitizePropertyData = (data, userRole) => {
     'areaSqft', 'propertyType', 'furnishing', 'parking', 'floors', 'ageInYears',
     'facing', 'amenities', 'nearbyMetro', 'nearbyLandmarks', 'images', 
     'balconies', 'pricePerSqft', 'maintenanceCharges', 'securityDeposit',
-    'availableFrom', 'isNegotiable', 'contact'
+    'availableFrom', 'isNegotiable', 'contact',
+    'listingType', 'rentPeriod', 'rentDetails'
   ];
   
   // Admin can update additional fields
@@ -73,133 +94,68 @@ const sanitizePropertyData = (data, userRole) => {
   return sanitized;
 };
 
-/**
- * @desc    Create new property
- * @route   POST /api/properties
- * @access  Private (User/Agent/Admin)
- */
-export const createProperty = asyncHandler(async (req, res) => {
-  const {
-    title, description, price, location = {}, bedrooms, bathrooms, areaSqft,
-    propertyType, furnishing, parking, floors, ageInYears, facing,
-    amenities = [], nearbyMetro = [], nearbyLandmarks = [], images = [],
-    balconies, pricePerSqft, maintenanceCharges, securityDeposit,
-    availableFrom, isNegotiable, contact = {}, lat, lng
-  } = req.body;
-
-  // Enhanced validation
-  const requiredFields = [
-    { field: title, name: 'title' },
-    { field: description, name: 'description' },
-    { field: price, name: 'price' },
-    { field: bedrooms, name: 'bedrooms' },
-    { field: bathrooms, name: 'bathrooms' },
-    { field: areaSqft, name: 'areaSqft' }
-  ];
-
-  const missingFields = requiredFields
-    .filter(({ field }) => field === undefined || field === null || field === '')
-    .map(({ name }) => name);
+// $set (and price history $push) for an edit of an existing property
+const buildPropertyUpdate = (property, data, user) => {
+  // Any edit counts as a refresh for listing expiry
+  const update = { $set: { ...data, lastRefreshedAt: new Date() } };
 
-  if (missingFields.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: `Missing required fields: ${missingFields.join(', ')}`,
-      fields: missingFields
-    });
+  if (data.location) {
+    update.$set.location = { ...data.location, addressKey: addressKeyFor(data.location) };
   }
 
-  // Location validation
-  const locationFields = ['city', 'state', 'address', 'area'];
-  const missingLocationFields = locationFields.filter(field => !location[field]);
+  if (data.price !== undefined && Number(data.price) !== property.price) {
+    const newPrice = Number(data.price);
+    Object.assign(update.$set, priceChangeFields(property.price, newPrice));
+    // Listings created before price tracking start with their current price
+    const entries = property.priceHistory?.length
+      ? []
+      : [{ price: property.price, changedAt: property.createdAt }];
+    entries.push({ price: newPrice, changedBy: user._id });
 
-  if (missingLocationFields.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: `Missing location fields: ${missingLocationFields.join(', ')}`,
-      fields: missingLocationFields
-    });
+    update.$push = { priceHistory: { $each: entries } };
   }
 
-  // Contact validation
-  if (!contact.phone) {
-    return res.status(400).json({
-      success: false,
-      message: "Phone number is required"
-    });
-  }
+  // Keep the per-month rent in sync with price, period and listing type
+  if (['price', 'listingType', 'rentPeriod'].some((field) => data[field] !== undefined)) {
+    const listingType = data.listingType ?? property.listingType;
+    const rentPeriod = data.rentPeriod ?? property.rentPeriod ?? 'monthly';
+    const monthlyRent = monthlyRentFor(listingType, Number(data.price ?? property.price), rentPeriod);
 
-  // Coordinates validation
-  if (lat === undefined || lng === undefined) {
-    return res.status(400).json({
-      success: false,
-      message: "Latitude and longitude are required"
-    });
+    update.$set.monthlyRent = monthlyRent;
+    update.$set.rentPeriod = monthlyRent === null ? null : rentPeriod;
   }
 
-  const coordValidation = validateCoordinates(lat, lng);
-  if (!coordValidation.isValid) {
-    return res.status(400).json({
-      success: false,
-      message: coordValidation.error
-    });
-  }
+  return update;
+};
 
-  // Business validation
-  if (price <= 0 || areaSqft <= 0) {
+/**
+ * @desc    Create new property
+ * @route   POST /api/properties
+ * @access  Private (User/Agent/Admin)
+ */
+export const createProperty = asyncHandler(async (req, res) => {
+  const { error, data: propertyData } = buildPropertyData(req.body, req.user._id);
+  if (error) {
     return res.status(400).json({
       success: false,
-      message: "Price and area must be positive numbers"
+      ...error
     });
   }
 
-  if (bedrooms < 0 || bathrooms < 0) {
-    return res.status(400).json({
+  // Duplicate detection: refuse re-posts, send likely duplicates to moderation
+  const duplicates = await checkForDuplicates(propertyData);
+  if (duplicates.action === 'block') {
+    return res.status(409).json({
       success: false,
-      message: "Bedrooms and bathrooms cannot be negative"
+      message: 'You have already listed this property. Renew the existing listing instead of posting it again.',
+      duplicateOf: duplicates.matches[0].property._id,
+      duplicates: duplicateWarnings(duplicates.matches)
     });
   }
-
-  // Construct enhanced property data
-  const propertyData = {
-    title: title.trim(),
-    description: description.trim(),
-    price: Number(price),
-    bedrooms: Number(bedrooms),
-    bathrooms: Number(bathrooms),
-    areaSqft: Number(areaSqft),
-    propertyType: propertyType || 'apartment',
-    furnishing: furnishing || 'unfurnished',
-    amenities: Array.isArray(amenities) ? amenities.map(a => a.trim()) : [],
-    images: Array.isArray(images) ? images : [],
-    location: {
-      ...location,
-      coordinates: {
-        type: "Point",
-        coordinates: [coordValidation.lng, coordValidation.lat]
-      }
-    },
-    contact: {
-      phone: contact.phone.trim(),
-      email: contact.email?.trim() || "",
-      whatsapp: contact.whatsapp?.trim() || contact.phone.trim()
-    },
-    createdBy: req.user._id
-  };
-
-  // Add optional fields if provided
-  if (parking !== undefined) propertyData.parking = Number(parking);
-  if (floors) propertyData.floors = floors;
-  if (ageInYears !== undefined) propertyData.ageInYears = Number(ageInYears);
-  if (facing) propertyData.facing = facing;
-  if (balconies !== undefined) propertyData.balconies = Number(balconies);
-  if (pricePerSqft) propertyData.pricePerSqft = Number(pricePerSqft);
-  if (maintenanceCharges) propertyData.maintenanceCharges = Number(maintenanceCharges);
-  if (securityDeposit) propertyData.securityDeposit = Number(securityDeposit);
-  if (availableFrom) propertyData.availableFrom = new Date(availableFrom);
-  if (isNegotiable !== undefined) propertyData.isNegotiable = Boolean(isNegotiable);
-  if (nearbyMetro.length > 0) propertyData.nearbyMetro = nearbyMetro;
-  if (nearbyLandmarks.length > 0) propertyData.nearbyLandmarks = nearbyLandmarks;
+  propertyData.duplicateCheck = duplicates.duplicateCheck;
+  if (duplicates.action === 'queue') {
+    propertyData.moderation = { queuedAt: new Date(), reason: 'duplicate' };
+  }
 
   // Create property
   const property = await Property.create(propertyData);
@@ -218,13 +174,14 @@ export const createProperty = asyncHandler(async (req, res) => {
     success: true,
     message: "Property created successfully",
     data: property,
+    ...(duplicates.matches.length && { duplicateWarnings: duplicateWarnings(duplicates.matches) }),
     ...(roleUpdate && { roleUpdatedTo: roleUpdate })
   });
 });
 
 
 /**
- * @desc    Get all properties (admin only)
+ * @desc    Get all properties (admin only), ?format=csv|xlsx|geojson to export
  * @route   GET /api/properties
  * @access  Private/Admin
  */
@@ -237,22 +194,26 @@ export const getAllProperties = asyncHandler(async (req, res) => {
     });
   }
 
+  // Spreadsheet / GeoJSON export of every matching listing
+  if (req.query.format) {
+    return sendPropertyExport(req, res, Property.find(), {
+      fileName: 'properties',
+      includeContact: true
+    });
+  }
+
   const features = new AdvancedApiFeatures(Property.find(), req.query)
     .applyFilters();
 
-  const properties = await features.query
-    .populate('createdBy', 'name email role')
-    .populate('approvedBy', 'name role')
-    .lean();
+  const properties = await features.results({
+    populate: [
+      { path: 'createdBy', select: 'name email role' },
+      { path: 'approvedBy', select: 'name role' }
+    ]
+  });
 
   // Get total count with same filters (without pagination)
-  const countFeatures = new AdvancedApiFeatures(Property.find(), req.query)
-    .locationSearch()
-    .priceFilter()
-    .propertyFilters()
-    .geoSearch();
-  
-  const total = await Property.countDocuments(countFeatures.query.getQuery());
+  const total = await features.count();
 
   res.status(200).json({
     success: true,
@@ -600,40 +561,43 @@ export const getNearbyProperties = asyncHandler(async (req, res) => {
     });
   }
 
-  const maxDistance = Math.min(Number(distance), 50); // Max 50km
-  const earthRadius = unit === "mi" ? 3963.2 : 6378.1;
-  const radiusInRadians = maxDistance / earthRadius;
+  const searchDistance = Number(distance);
+  if (!Number.isFinite(searchDistance) || searchDistance <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: "distance must be a positive number"
+    });
+  }
 
-  const { page, limit, skip } = buildPagination(req);
+  const maxDistance = Math.min(searchDistance, 50); // Max 50km
+  const kmPerUnit = unit === "mi" ? 1.609344 : 1;
 
-  const geoQuery = {
-    "location.coordinates": {
-      $geoWithin: {
-        $centerSphere: [[coordValidation.lng, coordValidation.lat], radiusInRadians]
-      }
-    },
-    status: "active"
-  };
+  const { page, limit } = buildPagination(req);
+
+  // Nearest first via $geoNear; any other search filter can be combined
+  const features = new AdvancedApiFeatures(Property.find({ status: "active" }), {
+    ...req.query,
+    lat: coordValidation.lat,
+    lng: coordValidation.lng,
+    radius: maxDistance * kmPerUnit,
+    sortBy: req.query.sortBy || "distance",
+    page,
+    limit,
+  }).applyFilters();
 
   const [properties, totalResults] = await Promise.all([
-    Property.find(geoQuery)
-      .skip(skip)
-      .limit(limit)
-      .select('title price location images propertyType bedrooms bathrooms areaSqft pricePerSqft isFeatured')
-      .populate('createdBy', 'name role')
-      .lean(),
-    Property.countDocuments(geoQuery)
+    features.results({
+      select: NEARBY_FIELDS,
+      populate: [{ path: 'createdBy', select: 'name role' }],
+    }),
+    features.count()
   ]);
 
-  // Calculate distances for each property
-  const propertiesWithDistance = properties.map(property => {
-    const [propLng, propLat] = property.location.coordinates.coordinates;
-    const distance = calculateDistance(
-      coordValidation.lat, coordValidation.lng, 
-      propLat, propLng, unit
-    );
-    return { ...property, distance: Math.round(distance * 100) / 100 };
-  });
+  // $geoNear distances are in meters
+  const propertiesWithDistance = properties.map(({ distanceMeters, ...property }) => ({
+    ...property,
+    distance: Math.round((distanceMeters / 1000 / kmPerUnit) * 100) / 100
+  }));
 
   res.status(200).json({
     success: true,
@@ -708,7 +672,7 @@ export const getPropertyById = asyncHandler(async (req, res) => {
     propertyType: property.propertyType,
     bedrooms: { $in: [property.bedrooms - 1, property.bedrooms, property.bedrooms + 1] }
   })
-  .select('title price location bedrooms bathrooms images pricePerSqft')
+  .select('title price listingType rentPeriod location bedrooms bathrooms images pricePerSqft')
   .limit(4)
   .lean();
 
@@ -720,7 +684,7 @@ export const getPropertyById = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get user's properties
+ * @desc    Get user's properties, ?format=csv|xlsx|geojson to export
  * @route   GET /api/properties/me
  * @access  Private
  */
@@ -736,6 +700,13 @@ export const myProperties = asyncHandler(async (req, res) => {
     filter.status = req.query.status;
   }
 
+  if (req.query.format) {
+    return sendPropertyExport(req, res, Property.find(filter), {
+      fileName: 'my-properties',
+      includeContact: true
+    });
+  }
+
   const [properties, total] = await Promise.all([
     Property.find(filter)
       .sort(sort)
@@ -808,40 +779,74 @@ export const updateProperty = asyncHandler(async (req, res) => {
     };
   }
 
-  // Business rules for status changes
-  if (updateData.status && req.user.role !== "admin") {
-    const forbiddenStatuses = ["active", "approved", "rejected", "sold"];
-    if (forbiddenStatuses.includes(updateData.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Only admin can set status to '${updateData.status}'`
-      });
-    }
+  if (Array.isArray(updateData.images)) {
+    ensureSingleMainImage(updateData.images);
   }
 
-  // Update property
+  // Status moves go through the state machine instead of a plain $set
+  const nextStatus = updateData.status !== property.status ? updateData.status : undefined;
+  delete updateData.status;
+  if (nextStatus) {
+    assertTransition(property, nextStatus, req.user, req.body.reason);
+  }
+
+  // Re-check for duplicates when identifying details change
+  const duplicates = await checkUpdateForDuplicates(property, updateData);
+  if (duplicates?.action === 'block') {
+    return res.status(409).json({
+      success: false,
+      message: 'This update makes the listing a copy of another one of your listings',
+      duplicateOf: duplicates.matches[0].property._id,
+      duplicates: duplicateWarnings(duplicates.matches)
+    });
+  }
+
+  // Update property (price changes also extend the price history)
+  const update = buildPropertyUpdate(property, updateData, req.user);
   const updatedProperty = await Property.findByIdAndUpdate(
     id,
-    { $set: updateData },
+    update,
     { new: true, runValidators: true }
   ).populate('createdBy', 'name role');
 
+  // Revision, moderation re-queue for owner content edits, duplicate check
+  await afterPropertyUpdate({
+    before: property,
+    after: updatedProperty,
+    fields: Object.keys(updateData),
+    user: req.user,
+    duplicates
+  });
+
+  if (update.$push && updatedProperty.lastPriceDropAt) {
+    notifyPriceDrop(updatedProperty, property.price);
+  }
+
+  if (nextStatus) {
+    await transitionProperty(updatedProperty, nextStatus, {
+      user: req.user,
+      reason: req.body.reason
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: 'Property updated successfully',
-    data: updatedProperty
+    data: updatedProperty,
+    ...(duplicates?.matches.length && { duplicateWarnings: duplicateWarnings(duplicates.matches) })
   });
 });
 
 /**
- * @desc    Archive property (soft delete)
- * @route   DELETE /api/properties/:id
- * @access  Private
+ * @desc    Revision history of a property (newest first)
+ * @route   GET /api/properties/:id/revisions
+ * @access  Private (Owner/Admin)
  */
-export const archiveProperty = asyncHandler(async (req, res) => {
+export const getPropertyRevisions = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  
-  const property = await Property.findById(id);
+  const { page, limit, skip } = buildPagination(req);
+
+  const property = await Property.findById(id).select('createdBy');
   if (!property) {
     return res.status(404).json({
       success: false,
@@ -852,36 +857,38 @@ export const archiveProperty = asyncHandler(async (req, res) => {
   if (!ensureOwnerOrAdmin(property, req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized to archive this property'
-    });
-  }
-
-  if (property.status === 'archived') {
-    return res.status(400).json({
-      success: false,
-      message: 'Property is already archived'
+      message: 'Not authorized to view this property history'
     });
   }
 
-  await Property.findByIdAndUpdate(id, {
-    status: "archived",
-    archivedAt: new Date()
-  });
+  const [revisions, total] = await Promise.all([
+    PropertyRevision.find({ property: id })
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('changedBy', 'name role')
+      .lean(),
+    PropertyRevision.countDocuments({ property: id })
+  ]);
 
   res.status(200).json({
     success: true,
-    message: 'Property archived successfully'
+    page,
+    limit,
+    total,
+    data: revisions
   });
 });
 
 /**
- * @desc    Hold property
- * @route   PATCH /api/properties/:id/hold
- * @access  Private
+ * @desc    Restore a property to how it was after a given revision
+ * @route   POST /api/properties/:id/revisions/:version/restore
+ * @access  Private (Owner/Admin)
  */
-export const holdProperty = asyncHandler(async (req, res) => {
+export const restorePropertyRevision = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  
+  const version = parseInt(req.params.version);
+
   const property = await Property.findById(id);
   if (!property) {
     return res.status(404).json({
@@ -893,19 +900,120 @@ export const holdProperty = asyncHandler(async (req, res) => {
   if (!ensureOwnerOrAdmin(property, req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized'
+      message: 'Not authorized to update this property'
     });
   }
 
-  if (property.status === 'hold') {
+  const revision = await PropertyRevision.exists({ property: id, version });
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      message: 'Revision not found'
+    });
+  }
+
+  // Only restore fields the user is allowed to edit (e.g. not featured flags for owners)
+  const restoreData = sanitizePropertyData(
+    await propertyStateAtRevision(id, version),
+    req.user.role
+  );
+  // Status only changes through the state machine
+  delete restoreData.status;
+
+  if (Object.keys(restoreData).length === 0) {
     return res.status(400).json({
       success: false,
-      message: 'Property is already on hold'
+      message: 'Property already matches this revision'
+    });
+  }
+
+  if (Array.isArray(restoreData.images)) {
+    ensureSingleMainImage(restoreData.images);
+  }
+
+  // A restore is an edit like any other: same duplicate rules as updateProperty
+  const duplicates = await checkUpdateForDuplicates(property, restoreData);
+  if (duplicates?.action === 'block') {
+    return res.status(409).json({
+      success: false,
+      message: 'Restoring this revision makes the listing a copy of another one of your listings',
+      duplicateOf: duplicates.matches[0].property._id,
+      duplicates: duplicateWarnings(duplicates.matches)
+    });
+  }
+
+  const update = buildPropertyUpdate(property, restoreData, req.user);
+  const restoredProperty = await Property.findByIdAndUpdate(
+    id,
+    update,
+    { new: true, runValidators: true }
+  ).populate('createdBy', 'name role');
+
+  if (update.$push && restoredProperty.lastPriceDropAt) {
+    notifyPriceDrop(restoredProperty, property.price);
+  }
+
+  await afterPropertyUpdate({
+    before: property,
+    after: restoredProperty,
+    fields: Object.keys(restoreData),
+    user: req.user,
+    duplicates,
+    action: 'restore',
+    restoredFrom: version
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Property restored to revision ${version}`,
+    data: restoredProperty,
+    ...(duplicates?.matches.length && { duplicateWarnings: duplicateWarnings(duplicates.matches) })
+  });
+});
+
+/**
+ * @desc    Archive property (soft delete)
+ * @route   DELETE /api/properties/:id
+ * @access  Private
+ */
+export const archiveProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
     });
   }
 
-  property.status = "hold";
-  await property.save();
+  await transitionProperty(property, 'archived', {
+    user: req.user,
+    reason: req.body?.reason
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Property archived successfully'
+  });
+});
+
+/**
+ * @desc    Hold property
+ * @route   PATCH /api/properties/:id/hold
+ * @access  Private
+ */
+export const holdProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  await transitionProperty(property, 'hold', {
+    user: req.user,
+    reason: req.body?.reason
+  });
 
   res.status(200).json({
     success: true,
@@ -920,9 +1028,33 @@ export const holdProperty = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const resumeProperty = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  
-  const property = await Property.findById(id);
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  await transitionProperty(property, 'active', {
+    user: req.user,
+    reason: req.body?.reason
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Property resumed successfully',
+    data: property
+  });
+});
+
+/**
+ * @desc    Renew a listing: refresh it, or re-publish it once expired
+ * @route   PATCH /api/properties/:id/renew
+ * @access  Private (Owner/Admin)
+ */
+export const renewProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
   if (!property) {
     return res.status(404).json({
       success: false,
@@ -933,40 +1065,50 @@ export const resumeProperty = asyncHandler(async (req, res) => {
   if (!ensureOwnerOrAdmin(property, req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized'
+      message: 'Not authorized to renew this property'
     });
   }
 
-  if (property.status === 'active') {
+  if (!['active', 'expired'].includes(property.status)) {
     return res.status(400).json({
       success: false,
-      message: 'Property is already active'
+      message: `Only active or expired listings can be renewed (status is '${property.status}')`
     });
   }
 
-  property.status = "active";
-  await property.save();
+  property.lastRefreshedAt = new Date();
+  property.expiryReminderSentAt = undefined;
+
+  if (property.status === 'expired') {
+    await transitionProperty(property, 'active', {
+      user: req.user,
+      reason: 'Renewed'
+    });
+  } else {
+    await property.save();
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Property resumed successfully',
+    message: 'Property renewed successfully',
     data: property
   });
 });
 
 /**
- * @desc    Change property status (admin only)
+ * @desc    Change property status
  * @route   PATCH /api/properties/:id/status
- * @access  Private/Admin
+ * @access  Private (Owner/Admin)
  */
 export const changeStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status, reason } = req.body;
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
+  if (!PROPERTY_STATUS.includes(status)) {
+    return res.status(400).json({
       success: false,
-      message: 'Only admin can change property status'
+      message: 'Invalid status value',
+      validStatuses: PROPERTY_STATUS
     });
   }
 
@@ -978,48 +1120,47 @@ export const changeStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!PROPERTY_STATUS.includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid status value',
-      validStatuses: PROPERTY_STATUS
-    });
-  }
+  await transitionProperty(property, status, { user: req.user, reason });
 
-  const updateData = { status };
+  res.status(200).json({
+    success: true,
+    message: `Property status changed to '${status}' successfully`,
+    reason: property.statusReason || null,
+    data: property
+  });
+});
 
-  // Set approval data for certain statuses
-  if (["active", "approved", "rejected"].includes(status)) {
-    updateData.approvedBy = req.user._id;
-    updateData.approvedAt = new Date();
-  }
+/**
+ * @desc    Status history and the moves available to the current user
+ * @route   GET /api/properties/:id/status-history
+ * @access  Private (Owner/Admin)
+ */
+export const getStatusHistory = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id)
+    .select('title status statusReason statusHistory createdBy')
+    .populate('statusHistory.changedBy', 'name role');
 
-  // Set archive date for archived status
-  if (status === 'archived') {
-    updateData.archivedAt = new Date();
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
   }
 
-  await Property.findByIdAndUpdate(id, updateData);
+  if (!ensureOwnerOrAdmin(property, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this property history'
+    });
+  }
 
   res.status(200).json({
     success: true,
-    message: `Property status changed to '${status}' successfully`,
-    reason: reason || null
+    data: {
+      status: property.status,
+      statusReason: property.statusReason,
+      allowedTransitions: allowedTransitions(property, req.user),
+      history: property.statusHistory
+    }
   });
 });
-
-// Helper function to calculate distance between two points
-const calculateDistance = (lat1, lng1, lat2, lng2, unit = 'km') => {
-  const R = unit === 'mi' ? 3959 : 6371; // Earth's radius in miles or km
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
-
-const toRad = (value) => {
-  return value * Math.PI / 180;
-};
\ No newline at end of file
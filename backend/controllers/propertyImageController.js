@@ -0,0 +1,177 @@
+import { Property } from "../models/Property.js";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import {
+  processPropertyImage,
+  removePropertyImage,
+} from "../utils/imageProcessor.js";
+import { checkForDuplicates } from "../utils/duplicateDetector.js";
+import { afterPropertyUpdate } from "../utils/propertyChanges.js";
+
+const MAX_IMAGES_PER_PROPERTY = 20;
+
+const findOwnedProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    res.status(404).json({
+      success: false,
+      message: "Property not found",
+    });
+    return null;
+  }
+
+  if (
+    req.user.role !== "admin" &&
+    property.createdBy.toString() !== req.user._id.toString()
+  ) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to update this property",
+    });
+    return null;
+  }
+
+  return property;
+};
+
+// Copy of the listing before an image change, for the revision diff
+const snapshotOf = (property) => Property.hydrate(property.toObject());
+
+// Image changes are listing edits: revision, moderation re-queue and a
+// fresh duplicate check (photo fingerprints are a duplicate signal)
+const recordImageChange = async (before, property, user) =>
+  afterPropertyUpdate({
+    before,
+    after: property,
+    fields: ["images"],
+    user,
+    duplicates: await checkForDuplicates(property),
+  });
+
+/**
+ * @desc    Upload images (multipart field "images") for a listing
+ * @route   POST /api/properties/:id/images
+ * @access  Private (Owner/Admin)
+ */
+export const uploadPropertyImages = asyncHandler(async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({
+      success: false,
+      message: "Please attach at least one image",
+    });
+  }
+
+  const property = await findOwnedProperty(req, res);
+  if (!property) return;
+
+  if (property.images.length + req.files.length > MAX_IMAGES_PER_PROPERTY) {
+    return res.status(400).json({
+      success: false,
+      message: `A property can have at most ${MAX_IMAGES_PER_PROPERTY} images`,
+    });
+  }
+
+  const before = snapshotOf(property);
+  const uploaded = [];
+  try {
+    for (const file of req.files) {
+      uploaded.push(await processPropertyImage(file, property._id));
+    }
+  } catch (error) {
+    // Don't leave orphaned files behind when one image in the batch fails
+    await Promise.all(uploaded.map(removePropertyImage));
+    throw error;
+  }
+
+  const alts = [].concat(req.body.alt || []);
+  uploaded.forEach((image, index) => {
+    property.images.push({ ...image, alt: alts[index] || property.title });
+  });
+
+  if (req.body.isMain !== undefined) {
+    const mainIndex = parseInt(req.body.isMain) || 0;
+    const cover = property.images[property.images.length - uploaded.length + mainIndex];
+    if (cover) {
+      property.images.forEach((img) => {
+        img.isMain = img === cover;
+      });
+    }
+  }
+
+  try {
+    await property.save();
+  } catch (error) {
+    // The listing never got to reference the new files
+    await Promise.all(uploaded.map(removePropertyImage));
+    throw error;
+  }
+  await recordImageChange(before, property, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `${uploaded.length} image(s) uploaded`,
+    data: property.images,
+  });
+});
+
+/**
+ * @desc    Make an image the listing cover
+ * @route   PATCH /api/properties/:id/images/:imageId/main
+ * @access  Private (Owner/Admin)
+ */
+export const setMainPropertyImage = asyncHandler(async (req, res) => {
+  const property = await findOwnedProperty(req, res);
+  if (!property) return;
+
+  const image = property.images.id(req.params.imageId);
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      message: "Image not found",
+    });
+  }
+
+  const before = snapshotOf(property);
+  property.images.forEach((img) => {
+    img.isMain = img._id.equals(image._id);
+  });
+  await property.save();
+  await recordImageChange(before, property, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: "Cover image updated",
+    data: property.images,
+  });
+});
+
+/**
+ * @desc    Delete an image and its stored variants
+ * @route   DELETE /api/properties/:id/images/:imageId
+ * @access  Private (Owner/Admin)
+ */
+export const deletePropertyImage = asyncHandler(async (req, res) => {
+  const property = await findOwnedProperty(req, res);
+  if (!property) return;
+
+  const image = property.images.id(req.params.imageId);
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      message: "Image not found",
+    });
+  }
+
+  const before = snapshotOf(property);
+  const removed = image.toObject();
+  property.images.pull(image._id);
+  await property.save();
+  await recordImageChange(before, property, req.user);
+
+  await removePropertyImage(removed);
+
+  res.status(200).json({
+    success: true,
+    message: "Image deleted",
+    data: property.images,
+  });
+});
@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { ImportJob } from "../models/ImportJob.js";
+import { enqueuePropertyImport } from "../jobs/propertyImport.js";
+import {
+  MAX_IMPORT_ROWS,
+  IMPORT_TEMPLATE_COLUMNS,
+  parseImportFile,
+  mapImportHeaders,
+  importPropertyRows,
+  summarizeImport,
+  importReportCsv,
+  toCsv,
+} from "../utils/propertyImport.js";
+
+// Files up to this many rows are processed within the request
+const SYNC_IMPORT_ROWS = Number(process.env.SYNC_IMPORT_ROWS) || 50;
+
+const TEMPLATE_EXAMPLE = {
+  title: "2 BHK apartment near metro",
+  description: "Well lit corner flat with covered parking",
+  price: 8500000,
+  listingType: "sale",
+  bedrooms: 2,
+  bathrooms: 2,
+  areaSqft: 1050,
+  propertyType: "apartment",
+  furnishing: "semi-furnished",
+  parking: 1,
+  "floors.total": 12,
+  "floors.propertyOn": 4,
+  amenities: "lift; gym; power backup",
+  "location.address": "12 MG Road",
+  "location.area": "Indiranagar",
+  "location.city": "Bangalore",
+  "location.state": "Karnataka",
+  "location.pincode": "560038",
+  lat: 12.9719,
+  lng: 77.6412,
+  "contact.phone": "9876543210",
+};
+
+const jobSummary = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  dryRun: job.dryRun,
+  fileName: job.fileName,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  createdCount: job.createdCount,
+  failedCount: job.failedCount,
+  skippedCount: job.skippedCount,
+  unknownColumns: job.unknownColumns,
+  error: job.error,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+const findOwnJob = async (req, res) => {
+  const { jobId } = req.params;
+  const job = mongoose.isValidObjectId(jobId) ? await ImportJob.findById(jobId) : null;
+
+  if (!job) {
+    res.status(404).json({ success: false, message: "Import not found" });
+    return null;
+  }
+  if (req.user.role !== "admin" && job.user.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: "Not authorized to view this import" });
+    return null;
+  }
+  return job;
+};
+
+/**
+ * @desc    Download an empty import sheet with every supported column
+ * @route   GET /api/properties/import/template
+ * @access  Private (Agent/Admin)
+ */
+export const getImportTemplate = asyncHandler(async (req, res) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": 'attachment; filename="property-import-template.csv"',
+  });
+  res.send(
+    toCsv(IMPORT_TEMPLATE_COLUMNS, [
+      IMPORT_TEMPLATE_COLUMNS.map((column) => TEMPLATE_EXAMPLE[column] ?? ""),
+    ])
+  );
+});
+
+/**
+ * @desc    Bulk import listings from a CSV/XLSX file (?dryRun=true to preview)
+ * @route   POST /api/properties/import
+ * @access  Private (Agent/Admin)
+ */
+export const importProperties = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attach a .csv or .xlsx file in the "file" field',
+    });
+  }
+
+  const dryRun = req.query.dryRun === "true" || req.body.dryRun === "true";
+  const { headers, rows } = await parseImportFile(req.file.buffer, req.file.format);
+  const { columns, unknownColumns } = mapImportHeaders(headers);
+
+  if (!columns.some(Boolean)) {
+    return res.status(400).json({
+      success: false,
+      message: "No recognised columns found. Download the import template for the expected headers.",
+      unknownColumns,
+    });
+  }
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "The file has no data rows",
+    });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `Import at most ${MAX_IMPORT_ROWS} rows per file (got ${rows.length})`,
+    });
+  }
+
+  const job = new ImportJob({
+    user: req.user._id,
+    fileName: req.file.originalname,
+    format: req.file.format,
+    dryRun,
+    totalRows: rows.length,
+    unknownColumns,
+  });
+
+  if (rows.length > SYNC_IMPORT_ROWS) {
+    await job.save();
+    enqueuePropertyImport(job, rows, columns);
+
+    return res.status(202).json({
+      success: true,
+      message: `Import of ${rows.length} rows started`,
+      data: jobSummary(job),
+      statusUrl: `/api/properties/import/${job._id}`,
+      reportUrl: `/api/properties/import/${job._id}/report`,
+    });
+  }
+
+  job.startedAt = new Date();
+  const results = await importPropertyRows(rows, columns, {
+    userId: req.user._id,
+    dryRun,
+  });
+  job.set({
+    status: "completed",
+    processedRows: results.length,
+    results,
+    ...summarizeImport(results),
+    finishedAt: new Date(),
+  });
+  await job.save();
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? `${results.filter((result) => result.status === "valid").length} of ${rows.length} rows are ready to import`
+      : `${job.createdCount} of ${rows.length} rows imported`,
+    data: jobSummary(job),
+    results,
+    reportUrl: `/api/properties/import/${job._id}/report`,
+  });
+});
+
+/**
+ * @desc    Progress and per-row results of an import
+ * @route   GET /api/properties/import/:jobId
+ * @access  Private (Agent/Admin)
+ */
+export const getImportJob = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job) return;
+
+  res.status(200).json({
+    success: true,
+    data: jobSummary(job),
+    results: job.results,
+  });
+});
+
+/**
+ * @desc    Download the result report of an import as CSV
+ * @route   GET /api/properties/import/:jobId/report
+ * @access  Private (Agent/Admin)
+ */
+export const downloadImportReport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job) return;
+
+  if (job.status !== "completed") {
+    return res.status(409).json({
+      success: false,
+      message: `The import is ${job.status}, the report is available once it completes`,
+      data: jobSummary(job),
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="import-report-${job._id}.csv"`,
+  });
+  res.send(importReportCsv(job.results));
+});
@@ -2,6 +2,7 @@ import { Report } from "../models/reportModel.js";
 import { Property } from "../models/Property.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { User } from "../models/User.js";
+import { queueTemplateEmail } from "../utils/sendEmail.js";
 
 // @desc    Create a report (user complaint)
 
@@ -88,10 +89,30 @@ export const updateReportStatus = asyncHandler(async (req, res) => {
   const report = await Report.findById(id);
   if (!report) return res.status(404).json({ message: "Report not found" });
 
+  const wasResolved = report.status === "resolved";
+
   report.status = status || report.status;
   report.adminNote = adminNote || report.adminNote;
 
   await report.save();
 
+  if (report.status === "resolved" && !wasResolved) {
+    const reporter = await User.findById(report.reportedBy).select(
+      "name email preferredLanguage"
+    );
+    if (reporter) {
+      queueTemplateEmail({
+        to: reporter.email,
+        template: "reportResolved",
+        data: {
+          name: reporter.name,
+          reason: report.reason,
+          response: report.response || adminNote || "",
+        },
+        locale: reporter.preferredLanguage,
+      });
+    }
+  }
+
   res.status(200).json({ message: "Report updated", report });
 });
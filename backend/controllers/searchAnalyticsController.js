@@ -0,0 +1,164 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { SearchQuery } from "../models/SearchQuery.js";
+
+// Shared ?days=&limit=&source=&city= handling for the reports
+const reportWindow = (req) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 180);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const match = {
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    source: req.query.source === "autocomplete" ? "autocomplete" : "search",
+  };
+  if (req.query.city) match.city = req.query.city.trim().toLowerCase();
+
+  return { days, limit, match };
+};
+
+//@desc Most frequent searches
+//@route GET /api/admin/search-analytics/top-queries
+//@access Admin
+export const getTopQueries = asyncHandler(async (req, res) => {
+  const { days, limit, match } = reportWindow(req);
+
+  const queries = await SearchQuery.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$signature",
+        query: { $first: "$query" },
+        filters: { $first: "$filters" },
+        count: { $sum: 1 },
+        uniqueUsers: { $addToSet: "$user" },
+        avgResults: { $avg: "$resultCount" },
+        avgLatencyMs: { $avg: "$latencyMs" },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        signature: "$_id",
+        query: 1,
+        filters: 1,
+        count: 1,
+        uniqueUsers: {
+          $size: {
+            $filter: { input: "$uniqueUsers", cond: { $ne: ["$$this", null] } },
+          },
+        },
+        avgResults: { $round: ["$avgResults", 1] },
+        avgLatencyMs: { $round: ["$avgLatencyMs", 0] },
+        lastSearchedAt: 1,
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    days,
+    count: queries.length,
+    data: queries,
+  });
+});
+
+//@desc Searches that returned nothing (unmet demand)
+//@route GET /api/admin/search-analytics/zero-results
+//@access Admin
+export const getZeroResultQueries = asyncHandler(async (req, res) => {
+  const { days, limit, match } = reportWindow(req);
+
+  const [queries, totals] = await Promise.all([
+    SearchQuery.aggregate([
+      { $match: { ...match, resultCount: 0 } },
+      {
+        $group: {
+          _id: "$signature",
+          query: { $first: "$query" },
+          filters: { $first: "$filters" },
+          city: { $first: "$city" },
+          count: { $sum: 1 },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, signature: "$_id", query: 1, filters: 1, city: 1, count: 1, lastSearchedAt: 1 } },
+    ]),
+    SearchQuery.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const { total = 0, zeroResults = 0 } = totals[0] || {};
+
+  res.status(200).json({
+    success: true,
+    days,
+    totalSearches: total,
+    zeroResultSearches: zeroResults,
+    zeroResultRate: total ? Math.round((zeroResults / total) * 1000) / 10 : 0,
+    data: queries,
+  });
+});
+
+//@desc Which filters people use in each city, with their top values
+//@route GET /api/admin/search-analytics/filters
+//@access Admin
+export const getFilterPopularity = asyncHandler(async (req, res) => {
+  const { days, limit, match } = reportWindow(req);
+
+  const stats = await SearchQuery.aggregate([
+    { $match: match },
+    { $project: { city: { $ifNull: ["$city", "(any)"] }, filter: { $objectToArray: "$filters" } } },
+    { $unwind: "$filter" },
+    { $match: { "filter.k": { $nin: ["city", "sortBy"] } } },
+    {
+      $group: {
+        _id: { city: "$city", filter: "$filter.k", value: "$filter.v" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1 } },
+    {
+      $group: {
+        _id: { city: "$_id.city", filter: "$_id.filter" },
+        count: { $sum: "$count" },
+        topValues: { $push: { value: "$_id.value", count: "$count" } },
+      },
+    },
+    { $sort: { count: -1 } },
+    {
+      $group: {
+        _id: "$_id.city",
+        filterUses: { $sum: "$count" },
+        filters: {
+          $push: {
+            filter: "$_id.filter",
+            count: "$count",
+            topValues: { $slice: ["$topValues", 5] },
+          },
+        },
+      },
+    },
+    { $sort: { filterUses: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, city: "$_id", filterUses: 1, filters: 1 } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    days,
+    count: stats.length,
+    data: stats,
+  });
+});
@@ -1,11 +1,64 @@
 // controllers/advancedSearchController.js
-import { Property } from "../models/Property.js";
+import { Property, PROPERTY_RENTAL_LISTING_TYPES } from "../models/Property.js";
 import { SavedSearch } from "../models/savedSearch.js";
+import { Favorite } from "../models/Favorite.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { AdvancedApiFeatures } from "../utils/apiFeatures.js";
+import { verifyUnsubscribeToken } from "../utils/jwt.js";
+import { trackSearchImpressions } from "../utils/eventTracker.js";
+import {
+  trackSearchQuery,
+  getTrendingSearches,
+  parseLoanTerms,
+  estimateEMI,
+  affordablePrice,
+  downPaymentFor,
+  buildAmortizationSchedule,
+} from "../utils/searchHelper.js";
+import { sendPropertyExport } from "../utils/propertyExport.js";
+import {
+  parseBbox,
+  parsePolygon,
+  searchAreaFrom,
+  savedSearchParams,
+} from "../utils/geoArea.js";
+import { buildMapLayer } from "../utils/mapClusters.js";
 
 // Enhanced Property Search with advanced filtering
+// (?format=csv|xlsx|geojson exports every match, agents and admins only)
 export const advancedSearchProperties = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Map viewport (?bbox=) or drawn area (?polygon=)
+  const { error: areaError } = searchAreaFrom(req.query);
+  if (areaError) {
+    return res.status(400).json({ success: false, message: areaError });
+  }
+
+  if (req.query.format) {
+    if (!["agent", "admin"].includes(req.user?.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only agents and admins can export search results",
+      });
+    }
+    return sendPropertyExport(req, res, Property.find({ status: "active" }), {
+      fileName: "search-results",
+    });
+  }
+
+  // Loan terms for the EMI shown on each result and the ?emi= affordability mode
+  const { terms: loanTerms, error: loanError } = parseLoanTerms(req.query);
+  if (loanError) {
+    return res.status(400).json({ success: false, message: loanError });
+  }
+  if (req.query.emi !== undefined && !(Number(req.query.emi) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "emi must be a positive monthly amount",
+    });
+  }
+
   try {
     // Ensure req.query exists
     const queryParams = req.query || {};
@@ -24,17 +77,48 @@ export const advancedSearchProperties = asyncHandler(async (req, res) => {
       .propertyFilters()
       .geoSearch();
 
-    const total = await Property.countDocuments(countQuery.query.getQuery());
+    const total = await countQuery.count();
 
     // Get properties with all filters including pagination
+    // (nearest first with a distance in km when sortBy=distance)
     const features = new AdvancedApiFeatures(
       Property.find({ status: "active" }),
       queryParams
     ).applyFilters();
 
-    const properties = await features.query
-      .populate("createdBy", "name role")
-      .lean();
+    const properties = await features.results({
+      populate: [{ path: "createdBy", select: "name role" }],
+    });
+
+    // Monthly cost of buying each listing, to compare with rents
+    properties.forEach((p) => {
+      p.estimatedEmi = PROPERTY_RENTAL_LISTING_TYPES.includes(p.listingType)
+        ? null
+        : estimateEMI(p.price, loanTerms);
+    });
+
+    // Flag favorites for signed-in users
+    if (req.user) {
+      const favorited = await Favorite.favoritedIds(
+        req.user._id,
+        properties.map((p) => p._id)
+      );
+      properties.forEach((p) => {
+        p.isFavorited = favorited.has(p._id.toString());
+      });
+    }
+
+    trackSearchImpressions(
+      req,
+      properties.map((p) => p._id)
+    );
+    trackSearchQuery({
+      source: "search",
+      params: queryParams,
+      userId: req.user?._id,
+      resultCount: total,
+      latencyMs: Date.now() - startTime,
+    });
 
     // Get search suggestions if query is provided and results are few
     let suggestions = [];
@@ -55,6 +139,10 @@ export const advancedSearchProperties = asyncHandler(async (req, res) => {
       suggestions,
       facets,
       filters: queryParams,
+      loanTerms,
+      ...(queryParams.emi && {
+        maxAffordablePrice: affordablePrice(Number(queryParams.emi), loanTerms),
+      }),
     });
   } catch (error) {
     console.error("Advanced search error:", error);
@@ -66,6 +154,50 @@ export const advancedSearchProperties = asyncHandler(async (req, res) => {
   }
 });
 
+// Home-loan EMI calculator with amortization schedule
+// GET /api/properties/search/emi?price=|loanAmount=&rate=&tenure=&downPayment=|downPaymentPercent=&schedule=monthly
+export const calculateLoanEmi = asyncHandler(async (req, res) => {
+  const { terms, error } = parseLoanTerms(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const price = Number(req.query.price);
+  const hasLoanAmount = req.query.loanAmount !== undefined;
+  const loanAmount = hasLoanAmount
+    ? Number(req.query.loanAmount)
+    : price - downPaymentFor(price, terms);
+
+  if (!(loanAmount >= 0) || (!hasLoanAmount && !(price > 0))) {
+    return res.status(400).json({
+      success: false,
+      message: "price (or loanAmount) must be a positive number",
+    });
+  }
+
+  const { rate, tenure, ...downPaymentTerms } = terms;
+  const schedule = buildAmortizationSchedule(loanAmount, rate, tenure);
+  const totalInterest = schedule.monthly.reduce((sum, row) => sum + row.interest, 0);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rate,
+      tenure,
+      ...(!hasLoanAmount && {
+        ...downPaymentTerms,
+        price,
+        downPaymentAmount: price - loanAmount,
+      }),
+      loanAmount,
+      emi: schedule.emi,
+      totalInterest,
+      totalPayment: loanAmount + totalInterest,
+      schedule: req.query.schedule === "monthly" ? schedule.monthly : schedule.yearly,
+    },
+  });
+});
+
 // Helper function for getting search suggestions
 const getSearchSuggestionsHelper = async (searchQuery) => {
   try {
@@ -139,6 +271,12 @@ const getFacetedResultsHelper = async (queryParams) => {
   try {
     const basePipeline = [{ $match: { status: "active" } }];
 
+    if (queryParams.listingType) {
+      basePipeline.push({
+        $match: { listingType: { $in: queryParams.listingType.split(",") } },
+      });
+    }
+
     // Add search conditions to base pipeline if needed
     if (queryParams.q) {
       basePipeline.push({
@@ -156,7 +294,13 @@ const getFacetedResultsHelper = async (queryParams) => {
       ...basePipeline,
       {
         $facet: {
+          listingTypes: [
+            { $group: { _id: { $ifNull: ["$listingType", "sale"] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          // Sale prices and monthly rents are bucketed separately
           priceRanges: [
+            { $match: { listingType: { $nin: PROPERTY_RENTAL_LISTING_TYPES } } },
             {
               $bucket: {
                 groupBy: "$price",
@@ -166,6 +310,23 @@ const getFacetedResultsHelper = async (queryParams) => {
               },
             },
           ],
+          rentRanges: [
+            { $match: { listingType: { $in: PROPERTY_RENTAL_LISTING_TYPES } } },
+            {
+              $bucket: {
+                groupBy: "$monthlyRent",
+                boundaries: [0, 10000, 20000, 35000, 50000, 100000],
+                default: "100000+",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          tenantPreferences: [
+            { $match: { listingType: { $in: PROPERTY_RENTAL_LISTING_TYPES } } },
+            { $unwind: "$rentDetails.tenantPreference" },
+            { $group: { _id: "$rentDetails.tenantPreference", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
           bedroomCounts: [
             { $group: { _id: "$bedrooms", count: { $sum: 1 } } },
             { $sort: { _id: 1 } },
@@ -193,6 +354,57 @@ const getFacetedResultsHelper = async (queryParams) => {
   }
 };
 
+// Map view: clusters (or single listings at high zoom) inside ?bbox=,
+// filtered exactly like advancedSearchProperties
+export const getMapClusters = asyncHandler(async (req, res) => {
+  const zoom = Number(req.query.zoom);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+    return res.status(400).json({
+      success: false,
+      message: "zoom must be a whole number between 0 and 22",
+    });
+  }
+
+  if (!req.query.bbox) {
+    return res.status(400).json({
+      success: false,
+      message: "bbox (minLng,minLat,maxLng,maxLat) is required",
+    });
+  }
+  const { error: areaError } = searchAreaFrom(req.query);
+  if (areaError) {
+    return res.status(400).json({ success: false, message: areaError });
+  }
+
+  const features = new AdvancedApiFeatures(
+    Property.find({ status: "active" }),
+    req.query
+  )
+    .advancedSearch()
+    .locationSearch()
+    .priceFilter()
+    .propertyFilters()
+    .geoSearch();
+
+  // Rentals are compared on monthly rent, like the price filter does
+  const intents = req.query.listingType ? req.query.listingType.split(",") : [];
+  const isRental =
+    intents.length > 0 &&
+    intents.every((intent) => PROPERTY_RENTAL_LISTING_TYPES.includes(intent));
+
+  const layer = await buildMapLayer(features, {
+    bbox: String(req.query.bbox).split(",").map(Number),
+    zoom,
+    priceField: isRental ? "monthlyRent" : "price",
+  });
+
+  res.status(200).json({
+    success: true,
+    zoom,
+    ...layer,
+  });
+});
+
 // Faceted search results for filter counts
 export const getFacetedResults = asyncHandler(async (req, res) => {
   const queryParams = req.query || {};
@@ -223,6 +435,8 @@ export const autoComplete = asyncHandler(async (req, res) => {
     return res.json({ suggestions: [] });
   }
 
+  const startTime = Date.now();
+
   try {
     let suggestions = [];
 
@@ -294,11 +508,21 @@ export const autoComplete = asyncHandler(async (req, res) => {
         }
     }
 
+    const results = Array.isArray(suggestions)
+      ? suggestions
+      : suggestions[0]?.suggestions || [];
+
+    trackSearchQuery({
+      source: "autocomplete",
+      params: queryParams,
+      userId: req.user?._id,
+      resultCount: results.length,
+      latencyMs: Date.now() - startTime,
+    });
+
     res.json({
       success: true,
-      suggestions: Array.isArray(suggestions)
-        ? suggestions
-        : suggestions[0]?.suggestions || [],
+      suggestions: results,
     });
   } catch (error) {
     console.error("Autocomplete error:", error);
@@ -312,6 +536,27 @@ export const autoComplete = asyncHandler(async (req, res) => {
 
 // Saved searches functionality
 
+// Saved area from { name, polygon } (or a polygon/bbox taken from the search)
+const buildSavedArea = (searchArea, { polygon, bbox } = {}) => {
+  const drawn = searchArea?.polygon || searchArea?.geometry || polygon;
+  if (!drawn && !bbox) return {};
+
+  // Saved areas get the drawn-polygon size limit, even when they came from a bbox
+  const viewport = drawn ? null : parseBbox(bbox);
+  const { geometry, areaKm2, error } = viewport?.error
+    ? viewport
+    : parsePolygon(drawn || viewport.geometry);
+  if (error) return { error };
+
+  return {
+    area: {
+      name: searchArea?.name?.trim(),
+      geometry,
+      areaKm2: Math.round(areaKm2 * 100) / 100,
+    },
+  };
+};
+
 export const saveSearch = asyncHandler(async (req, res) => {
   if (!req.body) {
     return res.status(400).json({
@@ -320,7 +565,15 @@ export const saveSearch = asyncHandler(async (req, res) => {
     });
   }
 
-  const { searchQuery, name, alertFrequency, description } = req.body;
+  const {
+    searchQuery,
+    searchArea,
+    name,
+    alertFrequency,
+    alertChannels,
+    priceDropAlerts,
+    description,
+  } = req.body;
 
   // Validate required fields
   if (!name) {
@@ -352,7 +605,14 @@ export const saveSearch = asyncHandler(async (req, res) => {
       });
     }
 
-    const normalizedSearchQuery = { ...searchQuery };
+    // A drawn polygon or the map viewport becomes the saved area
+    const { polygon, bbox, ...filters } = searchQuery;
+    const { area, error: areaError } = buildSavedArea(searchArea, { polygon, bbox });
+    if (areaError) {
+      return res.status(400).json({ success: false, message: areaError });
+    }
+
+    const normalizedSearchQuery = { ...filters };
 
     if (
       normalizedSearchQuery.bedrooms &&
@@ -406,10 +666,10 @@ export const saveSearch = asyncHandler(async (req, res) => {
     try {
       const features = new AdvancedApiFeatures(
         Property.find({ status: "active" }),
-        normalizedSearchQuery
+        savedSearchParams(normalizedSearchQuery, area)
       ).applyFilters();
 
-      resultCount = await Property.countDocuments(features.query.getQuery());
+      resultCount = await features.count();
     } catch (countError) {
       console.error("Error counting results:", countError);
       // Don't fail the save operation, just set count to 0
@@ -420,7 +680,10 @@ export const saveSearch = asyncHandler(async (req, res) => {
       userId: req.user._id,
       name: name.trim(),
       searchQuery: normalizedSearchQuery,
+      ...(area && { searchArea: area }),
       alertFrequency: alertFrequency || "weekly",
+      ...(Array.isArray(alertChannels) && { alertChannels }),
+      priceDropAlerts: priceDropAlerts === true,
       description: description?.trim(),
       resultCount,
     });
@@ -456,12 +719,10 @@ export const getSavedSearches = asyncHandler(async (req, res) => {
         try {
           const features = new AdvancedApiFeatures(
             Property.find({ status: "active" }),
-            search.searchQuery
+            savedSearchParams(search.searchQuery, search.searchArea)
           ).applyFilters();
 
-          const currentCount = await Property.countDocuments(
-            features.query.getQuery()
-          );
+          const currentCount = await features.count();
 
           // Update the count in database if changed
           if (currentCount !== search.resultCount) {
@@ -500,7 +761,15 @@ export const getSavedSearches = asyncHandler(async (req, res) => {
 // Update saved search
 export const updateSavedSearch = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, alertFrequency, isActive, description } = req.body;
+  const {
+    name,
+    alertFrequency,
+    alertChannels,
+    priceDropAlerts,
+    isActive,
+    description,
+    searchArea,
+  } = req.body;
 
   try {
     const savedSearch = await SavedSearch.findOne({
@@ -518,10 +787,27 @@ export const updateSavedSearch = asyncHandler(async (req, res) => {
     // Update fields
     if (name) savedSearch.name = name.trim();
     if (alertFrequency) savedSearch.alertFrequency = alertFrequency;
+    if (Array.isArray(alertChannels)) savedSearch.alertChannels = alertChannels;
+    if (typeof priceDropAlerts === "boolean")
+      savedSearch.priceDropAlerts = priceDropAlerts;
     if (typeof isActive === "boolean") savedSearch.isActive = isActive;
     if (description !== undefined)
       savedSearch.description = description?.trim();
 
+    // searchArea: null removes the saved area
+    if (searchArea === null) {
+      savedSearch.searchArea = undefined;
+    } else if (searchArea !== undefined) {
+      const { area, error: areaError } = buildSavedArea(searchArea);
+      if (areaError || !area) {
+        return res.status(400).json({
+          success: false,
+          message: areaError || "searchArea.polygon is required",
+        });
+      }
+      savedSearch.searchArea = area;
+    }
+
     await savedSearch.save();
 
     res.json({
@@ -591,14 +877,14 @@ export const executeSavedSearch = asyncHandler(async (req, res) => {
     // Execute the search with current parameters
     const features = new AdvancedApiFeatures(
       Property.find({ status: "active" }),
-      savedSearch.searchQuery
+      savedSearchParams(savedSearch.searchQuery, savedSearch.searchArea)
     ).applyFilters();
 
-    const properties = await features.query
-      .populate("createdBy", "name role")
-      .lean();
+    const properties = await features.results({
+      populate: [{ path: "createdBy", select: "name role" }],
+    });
 
-    const total = await Property.countDocuments(features.query.getQuery());
+    const total = await features.count();
 
     // Update result count and last executed time
     await SavedSearch.findByIdAndUpdate(id, {
@@ -623,6 +909,37 @@ export const executeSavedSearch = asyncHandler(async (req, res) => {
   }
 });
 
+// Unsubscribe from saved search alerts (link in alert emails)
+export const unsubscribeSavedSearch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { token } = req.query;
+
+  if (!token || !verifyUnsubscribeToken(token, id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid unsubscribe link",
+    });
+  }
+
+  const savedSearch = await SavedSearch.findByIdAndUpdate(
+    id,
+    { alertFrequency: "never" },
+    { new: true }
+  );
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      message: "Saved search not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `You will no longer receive alerts for "${savedSearch.name}"`,
+  });
+});
+
 // Similar properties based on current property
 export const getSimilarProperties = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -747,6 +1064,21 @@ export const getTrendingProperties = asyncHandler(async (req, res) => {
   }
 });
 
+// Most searched queries of the last few days (?days=7&limit=10)
+export const getTrendingSearchQueries = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const searches = await getTrendingSearches(days, limit);
+
+  res.json({
+    success: true,
+    days,
+    count: searches.length,
+    data: searches,
+  });
+});
+
 // Get popular properties based on engagement
 
 export const getPopularProperties = asyncHandler(async (req, res) => {
@@ -791,16 +1123,19 @@ export const getFeaturedProperties = asyncHandler(async (req, res) => {
   const { limit = 10, city } = queryParams;
 
   try {
+    // Only promotions that have not run out yet
     const matchQuery = {
       status: "active",
+      isFeatured: true,
+      $or: [{ featuredTill: null }, { featuredTill: { $gt: new Date() } }],
     };
 
     if (city) matchQuery["location.city"] = { $regex: city, $options: "i" };
 
-    // Get all active properties
     const featured = await Property.find(matchQuery)
       .sort({
-        createdAt: -1, // Sort by newest first
+        priority: -1,
+        featuredAt: -1, // Most recently promoted first
       })
       .limit(parseInt(limit))
       .populate("createdBy", "name role")
@@ -1,5 +1,7 @@
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { User } from "../models/User.js";
+import { Notification } from "../models/Notification.js";
+import { sendOtp } from "../utils/sms.js";
 
 //@desc Get Logged-in user's profile
 //@route GET /api/users/profile
@@ -29,10 +31,11 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
     throw new Error("User not found");
   }
 
-  const { name, email, password } = req.body;
+  const { name, email, password, preferredLanguage } = req.body;
   if (email) user.email = email;
   if (name) user.name = name;
   if (password) user.password = password;
+  if (preferredLanguage) user.preferredLanguage = preferredLanguage;
 
   const updateUser = await user.save();
 
@@ -43,6 +46,121 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
       _id: updateUser._id,
       name: updateUser.name,
       email: updateUser.email,
+      preferredLanguage: updateUser.preferredLanguage,
     },
   });
 });
+
+//@desc  Request mobile number change (OTP sent to the new number)
+//@route POST /api/user/change-mobile
+//@access Private
+export const requestMobileChange = asyncHandler(async (req, res) => {
+  const { mobile } = req.body;
+  if (!mobile)
+    return res.status(400).json({ message: "mobile number is required" });
+
+  const user = await User.findById(req.user._id);
+  if (!user) return res.status(404).json({ message: "User not found" });
+
+  if (user.mobile === mobile)
+    return res.status(400).json({ message: "This is already your mobile" });
+
+  const exists = await User.findOne({ mobile });
+  if (exists)
+    return res.status(409).json({ message: "Mobile already registered" });
+
+  if (user.isOtpLocked() || user.otpCooldownRemaining() > 0)
+    return res
+      .status(429)
+      .json({ message: "Please wait before requesting another OTP" });
+
+  user.pendingMobile = mobile;
+  const otp = await user.setOtp("phone_change");
+  await user.save();
+
+  await sendOtp(mobile, otp, "phone_change");
+
+  res.status(200).json({
+    success: true,
+    message: "OTP sent to your new mobile number",
+  });
+});
+
+//@desc  Verify OTP and switch to the pending mobile number
+//@route POST /api/user/change-mobile/verify
+//@access Private
+export const verifyMobileChange = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  if (!otp) return res.status(400).json({ message: "otp is required" });
+
+  const user = await User.findById(req.user._id).select("+otp");
+  if (!user) return res.status(404).json({ message: "User not found" });
+
+  if (!user.pendingMobile)
+    return res.status(400).json({ message: "No mobile change requested" });
+
+  const result = await user.verifyOtp(otp, "phone_change");
+  if (result !== "valid") {
+    await user.save();
+    return res.status(result === "locked" ? 429 : 400).json({
+      message:
+        result === "locked"
+          ? "Too many failed attempts. Please request a new OTP later"
+          : "Invalid or expired OTP",
+    });
+  }
+
+  user.mobile = user.pendingMobile;
+  user.pendingMobile = undefined;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Mobile number updated successfully",
+    mobile: user.mobile,
+  });
+});
+
+//@desc  Get logged-in user's in-app notifications
+//@route GET /api/user/notifications
+//@access Private
+export const getNotifications = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const filter = { user: req.user._id };
+  if (req.query.unread === "true") filter.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: req.user._id, readAt: null }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    unread,
+    page,
+    limit,
+    notifications,
+  });
+});
+
+//@desc  Mark notifications as read (one, or all when id is "all")
+//@route PATCH /api/user/notifications/:id/read
+//@access Private
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id, readAt: null };
+  if (req.params.id !== "all") filter._id = req.params.id;
+
+  const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+  res.status(200).json({
+    success: true,
+    updated: result.modifiedCount,
+  });
+});
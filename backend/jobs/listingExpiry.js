@@ -0,0 +1,185 @@
+// jobs/listingExpiry.js
+import { Property } from "../models/Property.js";
+import { User } from "../models/User.js";
+import { queueTemplateEmail } from "../utils/sendEmail.js";
+import { notifyInApp } from "../utils/notify.js";
+import {
+  SYSTEM_ACTOR,
+  renewUrlFor,
+  transitionProperty,
+} from "../utils/propertyStateMachine.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LISTING_EXPIRY_DAYS = Number(process.env.LISTING_EXPIRY_DAYS) || 60;
+export const LISTING_EXPIRY_REMINDER_DAYS =
+  Number(process.env.LISTING_EXPIRY_REMINDER_DAYS) || 7;
+
+// Listings created before refresh tracking fall back to createdAt
+const notRefreshedSince = (date) => ({
+  $or: [
+    { lastRefreshedAt: { $lte: date } },
+    { lastRefreshedAt: null, createdAt: { $lte: date } },
+  ],
+});
+
+/**
+ * Turn off promotions whose featuredTill has passed
+ */
+export const unfeatureExpiredPromotions = async (now = new Date()) => {
+  const result = await Property.updateMany(
+    { isFeatured: true, featuredTill: { $lte: now } },
+    { $set: { isFeatured: false } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Remind owners a few days before their listing expires (once per refresh)
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const reminderCutoff = new Date(
+    now - (LISTING_EXPIRY_DAYS - LISTING_EXPIRY_REMINDER_DAYS) * DAY_MS
+  );
+
+  const cursor = Property.find({
+    status: "active",
+    ...notRefreshedSince(reminderCutoff),
+    $expr: {
+      $or: [
+        { $eq: [{ $ifNull: ["$expiryReminderSentAt", null] }, null] },
+        {
+          $lt: [
+            "$expiryReminderSentAt",
+            { $ifNull: ["$lastRefreshedAt", "$createdAt"] },
+          ],
+        },
+      ],
+    },
+  })
+    .select("title createdBy lastRefreshedAt createdAt slug")
+    // lean: a hydrated doc would fill a missing lastRefreshedAt with its default
+    .lean()
+    .cursor();
+
+  let sent = 0;
+  for await (const property of cursor) {
+    // Listings already past their expiry date still get the full lead time
+    const refreshedAt = property.lastRefreshedAt || property.createdAt;
+    const expiresOn = new Date(
+      Math.max(
+        refreshedAt.getTime() + LISTING_EXPIRY_DAYS * DAY_MS,
+        now.getTime() + LISTING_EXPIRY_REMINDER_DAYS * DAY_MS
+      )
+    );
+    const days = Math.max(Math.ceil((expiresOn - now) / DAY_MS), 1);
+    const renewUrl = renewUrlFor(property);
+
+    const owner = await User.findById(property.createdBy).select(
+      "name email preferredLanguage"
+    );
+    if (owner) {
+      notifyInApp({
+        user: owner._id,
+        type: "listing_expiring",
+        title: `Your listing "${property.title}" expires in ${days} days`,
+        message: "Renew it to keep it visible to buyers",
+        link: renewUrl,
+        data: { propertyId: property._id, expiresOn },
+      });
+
+      queueTemplateEmail({
+        to: owner.email,
+        template: "listingExpiring",
+        data: {
+          name: owner.name,
+          title: property.title,
+          days,
+          expiresOn: expiresOn.toDateString(),
+          renewUrl,
+        },
+        locale: owner.preferredLanguage,
+      });
+    }
+
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { expiryReminderSentAt: now } }
+    );
+    sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Move active listings that were not refreshed in time to "expired". Only
+ * listings whose owner was reminded at least the reminder lead time ago
+ * (since the last refresh) expire, so older listings get that grace period.
+ */
+export const expireStaleListings = async (now = new Date()) => {
+  const cutoff = new Date(now - LISTING_EXPIRY_DAYS * DAY_MS);
+  const remindedBefore = new Date(now - LISTING_EXPIRY_REMINDER_DAYS * DAY_MS);
+
+  const cursor = Property.find({
+    status: "active",
+    ...notRefreshedSince(cutoff),
+    expiryReminderSentAt: { $lte: remindedBefore },
+    $expr: {
+      $gte: [
+        "$expiryReminderSentAt",
+        { $ifNull: ["$lastRefreshedAt", "$createdAt"] },
+      ],
+    },
+  }).cursor();
+
+  let expired = 0;
+  for await (const property of cursor) {
+    try {
+      await transitionProperty(property, "expired", {
+        user: SYSTEM_ACTOR,
+        reason: `Not refreshed in ${LISTING_EXPIRY_DAYS} days`,
+      });
+      expired += 1;
+    } catch (error) {
+      console.error(`Listing ${property._id} expiry error:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+let isRunning = false;
+
+export const runListingExpiry = async () => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  const now = new Date();
+  try {
+    const summary = {
+      unfeatured: await unfeatureExpiredPromotions(now),
+      reminded: await sendExpiryReminders(now),
+      expired: await expireStaleListings(now),
+    };
+    console.log("Listing expiry:", summary);
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the expiry job (LISTING_EXPIRY_JOB=false disables it)
+ */
+export const startListingExpiryJob = () => {
+  if (process.env.LISTING_EXPIRY_JOB === "false") return null;
+
+  const minutes = Number(process.env.LISTING_EXPIRY_INTERVAL_MINUTES) || 60;
+
+  return setInterval(() => {
+    runListingExpiry().catch((error) =>
+      console.error("Listing expiry job error:", error)
+    );
+  }, minutes * 60 * 1000);
+};
@@ -0,0 +1,84 @@
+// jobs/propertyImport.js
+import { ImportJob } from "../models/ImportJob.js";
+import {
+  importPropertyRows,
+  summarizeImport,
+} from "../utils/propertyImport.js";
+
+// Parsed rows stay in memory until their job runs; one import at a time
+const queue = [];
+let isRunning = false;
+
+const runImport = async ({ jobId, rows, columns }) => {
+  const job = await ImportJob.findById(jobId);
+  if (!job) return;
+
+  job.status = "processing";
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const results = await importPropertyRows(rows, columns, {
+      userId: job.user,
+      dryRun: job.dryRun,
+      onProgress: (partial) =>
+        ImportJob.updateOne(
+          { _id: job._id },
+          { $set: { processedRows: partial.length, ...summarizeImport(partial) } }
+        ),
+    });
+
+    job.set({
+      status: "completed",
+      processedRows: results.length,
+      results,
+      ...summarizeImport(results),
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    job.set({ status: "failed", error: error.message, finishedAt: new Date() });
+  }
+
+  await job.save();
+};
+
+const drainQueue = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    while (queue.length) {
+      const next = queue.shift();
+      try {
+        await runImport(next);
+      } catch (error) {
+        console.error(`Import job ${next.jobId} error:`, error.message);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Queue a parsed file for background processing
+ */
+export const enqueuePropertyImport = (job, rows, columns) => {
+  queue.push({ jobId: job._id, rows, columns });
+  drainQueue();
+};
+
+/**
+ * Imports queued before a restart lost their rows; mark them failed
+ */
+export const startPropertyImportJob = () =>
+  ImportJob.updateMany(
+    { status: { $in: ["queued", "processing"] } },
+    {
+      $set: {
+        status: "failed",
+        error: "Interrupted by a server restart, please upload the file again",
+        finishedAt: new Date(),
+      },
+    }
+  ).catch((error) => console.error("Import job cleanup error:", error));
@@ -0,0 +1,244 @@
+// jobs/savedSearchAlerts.js
+import { Property } from "../models/Property.js";
+import { SavedSearch } from "../models/savedSearch.js";
+import { User } from "../models/User.js";
+import { AdvancedApiFeatures } from "../utils/apiFeatures.js";
+import { queueTemplateEmail } from "../utils/sendEmail.js";
+import { escapeHtml } from "../utils/emailTemplates.js";
+import { sendSms } from "../utils/sms.js";
+import { notifyInApp } from "../utils/notify.js";
+import { signUnsubscribeToken } from "../utils/jwt.js";
+import { savedSearchParams } from "../utils/geoArea.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS,
+};
+const DIGEST_SIZE = 10;
+
+const apiUrl = () =>
+  process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+const formatPrice = (price, rentPeriod) =>
+  `₹${Number(price).toLocaleString("en-IN")}${
+    rentPeriod ? (rentPeriod === "yearly" ? "/year" : "/month") : ""
+  }`;
+
+const isDue = (search, now) =>
+  !search.lastAlertSent ||
+  now - search.lastAlertSent >= FREQUENCY_MS[search.alertFrequency];
+
+// saveSearch stores list filters as arrays, AdvancedApiFeatures reads strings
+const toQueryParams = (searchQuery = {}) =>
+  Object.fromEntries(
+    Object.entries(searchQuery)
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.join(",") : String(value),
+      ])
+  );
+
+/**
+ * Run a saved search restricted to listings created or re-priced after
+ * `since`; sendDigest marks the price drops for searches that opted in
+ */
+const findNewMatches = async (params, since) => {
+  const baseQuery = {
+    status: "active",
+    $and: [
+      {
+        $or: [
+          { createdAt: { $gt: since } },
+          { priceChangedAt: { $gt: since } },
+        ],
+      },
+    ],
+  };
+
+  const features = new AdvancedApiFeatures(Property.find(baseQuery), {
+    ...params,
+    page: 1,
+    limit: DIGEST_SIZE,
+    sortBy: "newest",
+  }).applyFilters();
+
+  const [matches, total] = await Promise.all([
+    features.isAggregated
+      ? features.getQuery()
+      : features.query
+          .select("title price rentPeriod previousPrice lastPriceDropAt location bedrooms propertyType slug createdAt")
+          .lean(),
+    features.count(),
+  ]);
+
+  return { matches, total };
+};
+
+const sendDigest = async (search, user, params, since, matches, total) => {
+  const searchUrl = `${process.env.CLIENT_URL}/search?${new URLSearchParams(params)}`;
+  const unsubscribeUrl = `${apiUrl()}/api/search/saved/${search._id}/unsubscribe?token=${signUnsubscribeToken(search._id)}`;
+  const channels = search.alertChannels?.length ? search.alertChannels : ["email"];
+
+  const lines = matches.map((property) => {
+    const where = [property.location?.area, property.location?.city]
+      .filter(Boolean)
+      .join(", ");
+    const price =
+      search.priceDropAlerts && property.lastPriceDropAt > since
+        ? `${formatPrice(property.price, property.rentPeriod)} (was ${formatPrice(property.previousPrice, property.rentPeriod)})`
+        : formatPrice(property.price, property.rentPeriod);
+    return {
+      title: property.title,
+      url: `${process.env.CLIENT_URL}/property/${property.slug || property._id}`,
+      summary: `${price} · ${where}`,
+    };
+  });
+
+  const listingsText = lines
+    .map((line) => `- ${line.title} (${line.summary})\n  ${line.url}`)
+    .join("\n");
+
+  const listingsHtml = `<ul>${lines
+    .map(
+      (line) =>
+        `<li><a href="${escapeHtml(line.url)}" target="_blank">${escapeHtml(line.title)}</a><br/>${escapeHtml(line.summary)}</li>`
+    )
+    .join("")}</ul>`;
+
+  if (channels.includes("email") && user.email) {
+    await queueTemplateEmail({
+      to: user.email,
+      template: "savedSearchAlert",
+      data: {
+        name: user.name,
+        count: total,
+        searchName: search.name,
+        listingsText,
+        listingsHtml,
+        searchUrl,
+        unsubscribeUrl,
+      },
+      locale: user.preferredLanguage,
+    });
+  }
+
+  if (channels.includes("sms") && user.mobile) {
+    await sendSms({
+      to: user.mobile,
+      body: `${total} new properties match "${search.name}". ${searchUrl}`,
+      purpose: "saved_search_alert",
+    }).catch((error) =>
+      console.error("Saved search SMS error:", error.message)
+    );
+  }
+
+  if (channels.includes("in_app")) {
+    await notifyInApp({
+      user: user._id,
+      type: "saved_search_alert",
+      title: `${total} new matches for "${search.name}"`,
+      message: lines.slice(0, 3).map((line) => line.title).join(", "),
+      link: searchUrl,
+      data: {
+        savedSearchId: search._id,
+        propertyIds: matches.map((property) => property._id),
+      },
+    });
+  }
+};
+
+/**
+ * Process one saved search: send a digest if there are new matches and
+ * record when it ran and how many listings currently match it
+ */
+export const processSavedSearch = async (search, now = new Date()) => {
+  const user = await User.findById(search.userId).select(
+    "name email mobile preferredLanguage"
+  );
+  if (!user) return false;
+
+  const params = savedSearchParams(
+    toQueryParams(search.searchQuery),
+    search.searchArea
+  );
+  const since = search.lastAlertSent || search.createdAt;
+
+  const { matches, total } = await findNewMatches(params, since);
+
+  const resultCount = await new AdvancedApiFeatures(
+    Property.find({ status: "active" }),
+    params
+  )
+    .advancedSearch()
+    .locationSearch()
+    .priceFilter()
+    .propertyFilters()
+    .geoSearch()
+    .count();
+
+  if (total > 0) {
+    await sendDigest(search, user, params, since, matches, total);
+  }
+
+  await SavedSearch.updateOne(
+    { _id: search._id },
+    { lastAlertSent: now, resultCount }
+  );
+
+  return total > 0;
+};
+
+let isRunning = false;
+
+/**
+ * Send alerts for every active saved search whose frequency window elapsed
+ */
+export const runSavedSearchAlerts = async () => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  const now = new Date();
+  const summary = { checked: 0, alerted: 0, failed: 0 };
+
+  try {
+    const cursor = SavedSearch.find({
+      isActive: true,
+      alertFrequency: { $ne: "never" },
+    }).cursor();
+
+    for await (const search of cursor) {
+      if (!isDue(search, now)) continue;
+      summary.checked += 1;
+
+      try {
+        if (await processSavedSearch(search, now)) summary.alerted += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Saved search ${search._id} alert error:`, error.message);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+
+  console.log("Saved search alerts:", summary);
+  return summary;
+};
+
+/**
+ * Schedule the alert job (SAVED_SEARCH_ALERTS=false disables it)
+ */
+export const startSavedSearchAlertJob = () => {
+  if (process.env.SAVED_SEARCH_ALERTS === "false") return null;
+
+  const minutes = Number(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES) || 60;
+
+  return setInterval(() => {
+    runSavedSearchAlerts().catch((error) =>
+      console.error("Saved search alert job error:", error)
+    );
+  }, minutes * 60 * 1000);
+};
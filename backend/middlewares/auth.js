@@ -1,7 +1,43 @@
 import jwt from "jsonwebtoken";
 import { User } from "../models/User.js";
+import { Session } from "../models/Session.js";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 
+/**
+ * Resolve a bearer token to its user and device session. Returns
+ * { error } instead when the token is no longer good for that user.
+ * Throws when the token itself is invalid or expired.
+ */
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select("-password");
+
+  if (!user) {
+    return { error: "Not authorized, user not found" };
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: "Password changed recently, please login again" };
+  }
+
+  // Tokens are bound to a device session which can be revoked remotely
+  const session = decoded.sid && (await Session.findById(decoded.sid));
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== user._id.toString()
+  ) {
+    return { error: "Session expired or logged out" };
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > 5 * 60 * 1000) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+
+  return { user, session };
+};
+
 /**
  * Protect Middleware - Verify JWT token and attach user to request
  */
@@ -20,15 +56,14 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select("-password");
-
-    if (!req.user) {
-      return res
-        .status(401)
-        .json({ message: "Not authorized, user not found" });
+    const { user, session, error } = await authenticateToken(token);
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
+    req.user = user;
+    req.session = session;
+
     next();
   } catch (err) {
     return res.status(401).json({ message: "Invalid or expired token" });
@@ -74,18 +109,25 @@ export const checkPermission = (permission) => {
   };
 };
 
-export const optionalAuth = (req, res, next) => {
+/**
+ * Attach the user when a valid token is sent, otherwise carry on as a guest.
+ * Revoked sessions and tokens issued before a password change count as guests.
+ */
+export const optionalAuth = asyncHandler(async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) return next(); // NO token public mode
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const { user, session } = await authenticateToken(token);
+    if (user) {
+      req.user = user;
+      req.session = session;
+    }
   } catch (error) {
     //Ignore invalid token treat  as public
   }
   next();
-};
+});
 
 export const isAdmin = (req, res, next) => {
   if (req.user?.role !== "admin") {
@@ -0,0 +1,73 @@
+import multer from "multer";
+import ErrorHandler from "../utils/ErrorHandler.js";
+
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_SIZE_MB = Number(process.env.MAX_IMAGE_SIZE_MB) || 10;
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Files are kept in memory; they are resized before reaching storage
+const propertyImagesMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: MAX_IMAGES_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        new ErrorHandler("Only JPEG, PNG and WebP images are allowed", 400)
+      );
+    }
+    cb(null, true);
+  },
+}).array("images", MAX_IMAGES_PER_UPLOAD);
+
+// Turn multer limit errors into 400 responses
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `Each image must be smaller than ${MAX_IMAGE_SIZE_MB}MB`
+          : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+          ? `Upload at most ${MAX_IMAGES_PER_UPLOAD} images in the "images" field`
+          : err.message;
+      return next(new ErrorHandler(message, 400));
+    }
+    next(err);
+  });
+};
+
+export const propertyImagesUpload = handleUpload(propertyImagesMulter);
+
+const IMPORT_EXTENSIONS = { ".csv": "csv", ".xlsx": "xlsx" };
+const MAX_IMPORT_FILE_MB = Number(process.env.MAX_IMPORT_FILE_MB) || 5;
+
+// Bulk listing imports: a single CSV or XLSX sheet in the "file" field
+const importFileMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().match(/\.[a-z]+$/)?.[0];
+    if (!IMPORT_EXTENSIONS[extension]) {
+      return cb(new ErrorHandler("Only .csv and .xlsx files can be imported", 400));
+    }
+    file.format = IMPORT_EXTENSIONS[extension];
+    cb(null, true);
+  },
+}).single("file");
+
+export const propertyImportUpload = (req, res, next) => {
+  importFileMulter(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `Import files must be smaller than ${MAX_IMPORT_FILE_MB}MB`
+          : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+          ? 'Upload a single file in the "file" field'
+          : err.message;
+      return next(new ErrorHandler(message, 400));
+    }
+    next(err);
+  });
+};
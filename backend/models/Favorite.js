@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+      index: true,
+    },
+    // Optional named shortlist, e.g. "Pune 2BHK"
+    folder: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+      default: null,
+    },
+    // Private note, only visible to the user
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Opt-in: notify when the listing price goes down
+    priceDropAlert: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+favoriteSchema.index({ user: 1, property: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, folder: 1, createdAt: -1 });
+favoriteSchema.index({ property: 1, priceDropAlert: 1 });
+
+// Set of property ids (as strings) the user has favorited among `propertyIds`
+favoriteSchema.statics.favoritedIds = async function (userId, propertyIds) {
+  if (!userId || propertyIds.length === 0) return new Set();
+
+  const favorites = await this.find({
+    user: userId,
+    property: { $in: propertyIds },
+  })
+    .select("property")
+    .lean();
+
+  return new Set(favorites.map((favorite) => favorite.property.toString()));
+};
+
+export const Favorite = mongoose.model("Favorite", favoriteSchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const IMPORT_STATUSES = ["queued", "processing", "completed", "failed"];
+const ROW_STATUSES = ["created", "valid", "failed", "skipped"];
+
+// A bulk listing import and its per-row outcome (the downloadable report)
+const importJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: { type: String, trim: true },
+    format: { type: String, enum: ["csv", "xlsx"], required: true },
+    dryRun: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: IMPORT_STATUSES,
+      default: "queued",
+    },
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    createdCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    skippedCount: { type: Number, default: 0 },
+    unknownColumns: [{ type: String }],
+    results: [
+      {
+        _id: false,
+        row: Number,
+        status: { type: String, enum: ROW_STATUSES },
+        title: String,
+        property: { type: mongoose.Schema.Types.ObjectId, ref: "Property" },
+        issues: [String],
+        warnings: [String],
+      },
+    ],
+    error: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+export const ImportJob = mongoose.model("ImportJob", importJobSchema);
+export const IMPORT_JOB_STATUSES = IMPORT_STATUSES;
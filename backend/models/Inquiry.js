@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+const INQUIRY_STATUS = [
+  "new",
+  "contacted",
+  "visit_scheduled",
+  "closed",
+  "lost",
+];
+
+const CONTACT_TIMES = ["morning", "afternoon", "evening", "anytime"];
+const MESSAGE_MAX_LENGTH = 2000;
+
+const inquirySchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+      index: true,
+    },
+    // Listing owner at the time of the inquiry (agent inbox key)
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    name: { type: String, required: true, trim: true },
+    phone: {
+      type: String,
+      required: true,
+      // createInquiry normalizes to E.164
+      match: [/^\+?[0-9]{10,15}$/, "Phone number must be valid"],
+    },
+    email: { type: String, trim: true, lowercase: true },
+    message: { type: String, trim: true, maxlength: MESSAGE_MAX_LENGTH },
+    preferredContactTime: {
+      type: String,
+      enum: CONTACT_TIMES,
+      default: "anytime",
+    },
+    visitRequest: {
+      requested: { type: Boolean, default: false },
+      preferredDate: { type: Date },
+      scheduledAt: { type: Date },
+    },
+
+    status: {
+      type: String,
+      enum: INQUIRY_STATUS,
+      default: "new",
+      index: true,
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: INQUIRY_STATUS },
+        note: { type: String, trim: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+inquirySchema.index({ owner: 1, status: 1, createdAt: -1 });
+inquirySchema.index({ buyer: 1, property: 1 });
+
+export const INQUIRY_STATUSES = INQUIRY_STATUS;
+export const INQUIRY_CONTACT_TIMES = CONTACT_TIMES;
+export const INQUIRY_MESSAGE_MAX_LENGTH = MESSAGE_MAX_LENGTH;
+export const Inquiry = mongoose.model("Inquiry", inquirySchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const MODERATION_DECISIONS = ["approve", "reject"];
+
+// One row per moderation decision, used for throughput and SLA stats
+const moderationActionSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+      index: true,
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: MODERATION_DECISIONS,
+      required: true,
+    },
+    queueReason: { type: String },
+    reasonCode: { type: String },
+    reason: { type: String, trim: true },
+    checklist: [
+      {
+        _id: false,
+        key: String,
+        passed: Boolean,
+        detail: String,
+      },
+    ],
+    queuedAt: { type: Date },
+    claimedAt: { type: Date },
+    decidedAt: { type: Date, default: Date.now },
+    slaBreached: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+moderationActionSchema.index({ moderator: 1, decidedAt: -1 });
+moderationActionSchema.index({ decidedAt: -1 });
+
+export const ModerationAction = mongoose.model(
+  "ModerationAction",
+  moderationActionSchema
+);
+export const MODERATION_ACTION_DECISIONS = MODERATION_DECISIONS;
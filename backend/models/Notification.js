@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: { type: String, required: true, trim: true },
+    message: { type: String, trim: true },
+    link: { type: String, trim: true },
+    data: { type: Object },
+    readAt: Date,
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -10,6 +10,7 @@ const STATUS = [
   "sold",
   "rejected",
   "archived",
+  "expired",
 ];
 
 const PROPERTY_TYPES = [
@@ -41,6 +42,20 @@ const FACING_DIRECTIONS = [
   "south-west"
 ];
 
+// What the listing is offered for; everything except sale is priced per period
+const LISTING_TYPES = ["sale", "rent", "lease", "pg"];
+const RENTAL_LISTING_TYPES = ["rent", "lease", "pg"];
+const RENT_PERIODS = ["monthly", "yearly"];
+
+const TENANT_PREFERENCES = [
+  "any",
+  "family",
+  "bachelors",
+  "students",
+  "working-professionals",
+  "company"
+];
+
 const propertySchema = new mongoose.Schema(
   {
     title: {
@@ -68,6 +83,8 @@ const propertySchema = new mongoose.Schema(
       state: { type: String, trim: true },
       country: { type: String, trim: true, default: "India" },
       pincode: { type: String, trim: true },
+      // Normalized address + area + city, used to spot duplicate listings
+      addressKey: { type: String },
       coordinates: {
         type: {
           type: String,
@@ -102,6 +119,32 @@ const propertySchema = new mongoose.Schema(
       index: true
     },
     
+    // Sale vs rent: for rentals `price` is the rent per `rentPeriod`
+    listingType: {
+      type: String,
+      enum: LISTING_TYPES,
+      default: 'sale',
+      index: true
+    },
+    rentPeriod: {
+      type: String,
+      enum: RENT_PERIODS
+    },
+    // Rent normalised to a month, used to filter and bucket rentals
+    monthlyRent: {
+      type: Number,
+      index: true
+    },
+    rentDetails: {
+      depositMonths: { type: Number, min: 0, max: 24 },
+      lockInMonths: { type: Number, min: 0, max: 60 },
+      tenantPreference: {
+        type: [{ type: String, enum: TENANT_PREFERENCES }],
+        default: undefined
+      },
+      petsAllowed: { type: Boolean }
+    },
+
     // Enhanced Fields
     propertyType: {
       type: String,
@@ -155,7 +198,15 @@ const propertySchema = new mongoose.Schema(
       {
         url: { type: String, required: true },
         alt: { type: String },
-        public_id: { type: String }, // for Cloudinary
+        public_id: { type: String }, // storage key prefix of uploaded images
+        variants: {
+          thumbnail: { type: String },
+          medium: { type: String },
+          large: { type: String }
+        },
+        width: { type: Number },
+        height: { type: Number },
+        fingerprint: { type: String }, // perceptual hash of uploaded images
         isMain: { type: Boolean, default: false }
       },
     ],
@@ -208,6 +259,31 @@ const propertySchema = new mongoose.Schema(
     pricePerSqft: { type: Number },
     maintenanceCharges: { type: Number },
     securityDeposit: { type: Number },
+    priceChangedAt: { type: Date, index: true },
+    priceHistory: [
+      {
+        _id: false,
+        price: { type: Number, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+      }
+    ],
+    previousPrice: { type: Number },
+    // Drop vs the previous price, 0 once the price goes back up
+    priceDropPercent: { type: Number, default: 0, index: true },
+    lastPriceDropAt: { type: Date },
+    // Market price badge cached for the detail page (see priceBadgeForListing)
+    priceBadgeCache: {
+      type: new mongoose.Schema(
+        {
+          badge: { type: mongoose.Schema.Types.Mixed },
+          askingPrice: { type: Number },
+          computedAt: { type: Date },
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
     
     // Availability
     availableFrom: { type: Date },
@@ -244,6 +320,58 @@ const propertySchema = new mongoose.Schema(
     },
     approvedAt: Date,
     archivedAt: Date,
+
+    // Listings expire when not refreshed (edited or renewed) for a while
+    lastRefreshedAt: { type: Date, default: Date.now, index: true },
+    expiryReminderSentAt: { type: Date },
+    expiredAt: { type: Date },
+
+    // Moderation queue: set while a new or edited listing awaits review
+    moderation: {
+      queuedAt: { type: Date, index: true },
+      reason: { type: String, enum: ['new', 'edited', 'resubmitted', 'duplicate'] },
+      revision: { type: Number }, // revision that triggered an edit review
+      claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      claimedAt: { type: Date },
+      lockExpiresAt: { type: Date }
+    },
+
+    // Result of the last duplicate check (utils/duplicateDetector.js)
+    duplicateCheck: {
+      status: {
+        type: String,
+        enum: ['clear', 'warned', 'queued', 'dismissed', 'removed', 'merged'],
+        default: 'clear'
+      },
+      candidates: [
+        {
+          _id: false,
+          property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+          score: { type: Number },
+          signals: [{ type: String }]
+        }
+      ],
+      checkedAt: { type: Date },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      resolvedAt: { type: Date }
+    },
+
+    // Status changes go through utils/propertyStateMachine.js
+    statusReason: { type: String, trim: true },
+    // Who put the listing on hold, owners can't lift an admin's hold
+    heldBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    holdReason: { type: String, trim: true },
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, enum: STATUS },
+        to: { type: String, enum: STATUS, required: true },
+        reason: { type: String, trim: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: { type: String },
+        changedAt: { type: Date, default: Date.now }
+      }
+    ],
     
     // SEO and Meta
     slug: {
@@ -296,9 +424,73 @@ propertySchema.index({ propertyType: 1, bedrooms: 1 });
 propertySchema.index({ price: 1, areaSqft: 1 });
 propertySchema.index({ isFeatured: 1, featuredAt: -1 });
 propertySchema.index({ viewCount: -1, createdAt: -1 });
+propertySchema.index({ "location.addressKey": 1 });
+propertySchema.index({ "duplicateCheck.status": 1, "duplicateCheck.checkedAt": -1 });
+
+// Normalized "address, area, city" so "Flat 4B, MG Rd." matches "flat 4 b mg road"
+const ADDRESS_ABBREVIATIONS = {
+  rd: 'road',
+  st: 'street',
+  ngr: 'nagar',
+  apt: 'apartment',
+  apts: 'apartment',
+  apartments: 'apartment',
+  bldg: 'building',
+  soc: 'society',
+  opp: 'opposite',
+  nr: 'near',
+  no: '',
+  flat: '',
+};
+
+export const addressKeyFor = (location = {}) => {
+  const key = [location.address, location.area, location.city]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .map((word) => ADDRESS_ABBREVIATIONS[word] ?? word)
+    .filter(Boolean)
+    .join('');
+  return key || undefined;
+};
+
+// Rent per month for rental listings, null for sale listings
+export const monthlyRentFor = (listingType, price, rentPeriod) => {
+  if (!RENTAL_LISTING_TYPES.includes(listingType)) return null;
+  return rentPeriod === 'yearly' ? Math.round(price / 12) : price;
+};
+
+// Fields to $set when the price moves from oldPrice to newPrice
+export const priceChangeFields = (oldPrice, newPrice, now = new Date()) => {
+  const dropped = newPrice < oldPrice;
+  return {
+    priceChangedAt: now,
+    previousPrice: oldPrice,
+    priceDropPercent: dropped
+      ? Math.round(((oldPrice - newPrice) / oldPrice) * 1000) / 10
+      : 0,
+    lastPriceDropAt: dropped ? now : null
+  };
+};
+
+// Exactly one image is the cover: keep the first flagged one, else the first image
+export const ensureSingleMainImage = (images = []) => {
+  const mainIndex = Math.max(images.findIndex((img) => img?.isMain), 0);
+  images.forEach((img, index) => {
+    if (!img || typeof img !== "object") return;
+    img.isMain = index === mainIndex;
+  });
+  return images;
+};
 
 // Middleware to generate slug before saving
 propertySchema.pre('save', function(next) {
+  if (this.isModified('images')) {
+    ensureSingleMainImage(this.images);
+  }
+
   if (this.isModified('title') && !this.slug) {
     this.slug = this.title
       .toLowerCase()
@@ -307,8 +499,45 @@ propertySchema.pre('save', function(next) {
       + '-' + Math.random().toString(36).substr(2, 6);
   }
   
-  // Calculate price per sqft if not provided
-  if (this.price && this.areaSqft && !this.pricePerSqft) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.createdBy });
+  }
+
+  if (this.isModified('location')) {
+    this.location.addressKey = addressKeyFor(this.location);
+  }
+
+  if (this.isNew && this.status === 'pending' && !this.moderation?.queuedAt) {
+    this.moderation = { queuedAt: new Date(), reason: 'new' };
+  }
+
+  if (this.isNew && this.priceHistory.length === 0) {
+    this.priceHistory.push({ price: this.price, changedBy: this.createdBy });
+  } else if (this.isModified('price') && !this.isNew) {
+    const previous = this.priceHistory[this.priceHistory.length - 1]?.price;
+    if (previous !== undefined && previous !== this.price) {
+      this.set(priceChangeFields(previous, this.price));
+    } else {
+      this.priceChangedAt = new Date();
+    }
+    this.priceHistory.push({ price: this.price });
+  }
+
+  if (RENTAL_LISTING_TYPES.includes(this.listingType)) {
+    if (!this.rentPeriod) this.rentPeriod = 'monthly';
+    this.monthlyRent = monthlyRentFor(this.listingType, this.price, this.rentPeriod);
+
+    // Deposit amount follows the deposit months unless given explicitly
+    if (this.rentDetails?.depositMonths && !this.securityDeposit) {
+      this.securityDeposit = this.monthlyRent * this.rentDetails.depositMonths;
+    }
+  } else {
+    this.rentPeriod = undefined;
+    this.monthlyRent = undefined;
+  }
+
+  // Calculate price per sqft if not provided (sale listings only)
+  if (this.listingType === 'sale' && this.price && this.areaSqft && !this.pricePerSqft) {
     this.pricePerSqft = Math.round(this.price / this.areaSqft);
   }
   
@@ -336,4 +565,7 @@ propertySchema.methods.incrementViewCount = function() {
 };
 
 export const PROPERTY_STATUS = STATUS;
+export const PROPERTY_LISTING_TYPES = LISTING_TYPES;
+export const PROPERTY_RENTAL_LISTING_TYPES = RENTAL_LISTING_TYPES;
+export const PROPERTY_TENANT_PREFERENCES = TENANT_PREFERENCES;
 export const Property = mongoose.model("Property", propertySchema);
\ No newline at end of file
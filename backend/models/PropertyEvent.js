@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const EVENT_TYPES = [
+  "view",
+  "search_impression",
+  "contact_reveal",
+  "share",
+  "favorite",
+];
+
+// One document per property, event type, viewer and day
+const propertyEventSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: true,
+    },
+    // Salted hash of the user id, or of ip + user agent for guests
+    viewerHash: { type: String, required: true },
+    isAuthenticated: { type: Boolean, default: false },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    occurredAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+propertyEventSchema.index(
+  { property: 1, type: 1, viewerHash: 1, day: 1 },
+  { unique: true }
+);
+propertyEventSchema.index({ property: 1, occurredAt: -1 });
+// Raw events are only needed for the analytics windows (max 90 days)
+propertyEventSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+export const PROPERTY_EVENT_TYPES = EVENT_TYPES;
+export const PropertyEvent = mongoose.model("PropertyEvent", propertyEventSchema);
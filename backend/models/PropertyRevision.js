@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const REVISION_ACTIONS = ["update", "restore"];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const propertyRevisionSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    // 1, 2, 3... per property
+    version: { type: Number, required: true },
+    action: {
+      type: String,
+      enum: REVISION_ACTIONS,
+      default: "update",
+    },
+    changes: [changeSchema],
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Listing status when the edit happened, e.g. an edit to an active listing
+    statusAtChange: { type: String },
+    restoredFrom: { type: Number },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+propertyRevisionSchema.index({ property: 1, version: -1 }, { unique: true });
+
+export const PropertyRevision = mongoose.model(
+  "PropertyRevision",
+  propertyRevisionSchema
+);
+export const PROPERTY_REVISION_ACTIONS = REVISION_ACTIONS;
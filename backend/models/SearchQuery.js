@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ["search", "autocomplete"],
+      required: true,
+      index: true,
+    },
+    // Normalized free-text query (lowercased, single spaced)
+    query: { type: String, trim: true, index: true },
+    // Normalized filters, e.g. { city: "pune", bedrooms: "2,3" }
+    filters: { type: Object, default: {} },
+    // Stable key of query + filters used to group identical searches
+    signature: { type: String, required: true, index: true },
+    city: { type: String, trim: true, index: true },
+    resultCount: { type: Number, default: 0 },
+    latencyMs: { type: Number },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+searchQuerySchema.index({ createdAt: -1, resultCount: 1 });
+searchQuerySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 180 * 24 * 60 * 60 }
+);
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
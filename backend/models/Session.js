@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // sha256 of the current refresh token (the raw token is never stored)
+    refreshTokenHash: { type: String, required: true, unique: true },
+
+    // hash of the token this one replaced, used to detect refresh token reuse
+    previousTokenHash: { type: String, index: true },
+
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+    lastSeenAt: { type: Date, default: Date.now },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
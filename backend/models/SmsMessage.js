@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const smsMessageSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true, index: true },
+    body: { type: String, required: true },
+    purpose: { type: String, trim: true },
+    provider: { type: String, required: true },
+    providerMessageId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "delivered", "failed"],
+      default: "queued",
+      index: true,
+    },
+    error: { type: String },
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+export const SmsMessage = mongoose.model("SmsMessage", smsMessageSchema);
@@ -1,6 +1,18 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import {
+  OTP_PURPOSES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_LOCK_MINUTES,
+  generateOtp,
+  otpExpiryAfter,
+  isOtpExpired,
+  hashOtp,
+  compareOtp,
+} from "../utils/otp.js";
+import { SUPPORTED_LOCALES } from "../utils/emailTemplates.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,8 +32,24 @@ const userSchema = new mongoose.Schema(
 
     isVerified: { type: Boolean, default: false },
 
-    otp: String,
+    preferredLanguage: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: "en",
+    },
+
+    // OTP state (otp holds a bcrypt hash of the code)
+    otp: { type: String, select: false },
     otpExpiry: Date,
+    otpPurpose: { type: String, enum: OTP_PURPOSES },
+    otpAttempts: { type: Number, default: 0 },
+    otpSentAt: Date,
+    otpLockedUntil: Date,
+    pendingMobile: { type: String, trim: true },
+
+    resetPasswordToken: { type: String, index: true },
+    resetPasswordExpires: Date,
+    passwordChangedAt: Date,
   },
   { timestamps: true }
 );
@@ -33,6 +61,76 @@ userSchema.methods.comparePassword = async function (plain) {
   return bcrypt.compare(plain, this.password || " ");
 };
 
+// Issue a new OTP for a purpose, returns the plain code to be sent
+userSchema.methods.setOtp = async function (purpose) {
+  const otp = generateOtp();
+  this.otp = await hashOtp(otp);
+  this.otpPurpose = purpose;
+  this.otpExpiry = otpExpiryAfter();
+  this.otpAttempts = 0;
+  this.otpSentAt = new Date();
+  return otp;
+};
+
+userSchema.methods.clearOtp = function () {
+  this.otp = undefined;
+  this.otpPurpose = undefined;
+  this.otpExpiry = undefined;
+  this.otpAttempts = 0;
+};
+
+userSchema.methods.isOtpLocked = function () {
+  return Boolean(this.otpLockedUntil && this.otpLockedUntil > new Date());
+};
+
+// Seconds left before another OTP may be sent
+userSchema.methods.otpCooldownRemaining = function () {
+  if (!this.otpSentAt) return 0;
+  const elapsed = (Date.now() - this.otpSentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+/**
+ * Check an OTP for a purpose. Returns "valid", "invalid", "expired" or
+ * "locked"; the code is burned after OTP_MAX_ATTEMPTS failures.
+ * Each check claims an attempt in the database before comparing, so
+ * parallel guesses cannot share one. Caller must save the user afterwards.
+ */
+userSchema.methods.verifyOtp = async function (otp, purpose) {
+  if (this.isOtpLocked()) return "locked";
+
+  if (!this.otp || this.otpPurpose !== purpose) return "invalid";
+  if (isOtpExpired(this.otpExpiry)) {
+    this.clearOtp();
+    return "expired";
+  }
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, otpAttempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { otpAttempts: 1 } },
+    { new: true, projection: { otpAttempts: 1 } }
+  );
+  // Another request used up the last attempt
+  if (!claimed) return "locked";
+
+  // The counter was already written above, saving must not overwrite it
+  this.otpAttempts = claimed.otpAttempts;
+  this.unmarkModified("otpAttempts");
+
+  if (await compareOtp(otp, this.otp)) {
+    this.clearOtp();
+    this.otpLockedUntil = undefined;
+    return "valid";
+  }
+
+  if (this.otpAttempts >= OTP_MAX_ATTEMPTS) {
+    this.clearOtp();
+    this.otpLockedUntil = new Date(Date.now() + OTP_LOCK_MINUTES * 60 * 1000);
+    return "locked";
+  }
+  return "invalid";
+};
+
 // Generate Password Reset Token
 userSchema.methods.getResetPasswordToken = function () {
   const resetToken = crypto.randomBytes(32).toString("hex");
@@ -44,4 +142,10 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Check whether the password was changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
 export const User = mongoose.model("User", userSchema);
@@ -19,6 +19,15 @@ const savedSearchSchema = new mongoose.Schema(
       type: Object,
       required: true
     },
+    // Area drawn on the map (GeoJSON polygon), applied on top of searchQuery
+    searchArea: {
+      name: { type: String, trim: true, maxlength: 100 },
+      geometry: {
+        type: { type: String, enum: ['Polygon'] },
+        coordinates: { type: [[[Number]]], default: undefined }
+      },
+      areaKm2: { type: Number }
+    },
     alertFrequency: {
       type: String,
       enum: ['daily', 'weekly', 'monthly', 'never'],
@@ -29,6 +38,18 @@ const savedSearchSchema = new mongoose.Schema(
       default: true,
       index: true
     },
+    alertChannels: {
+      type: [{
+        type: String,
+        enum: ['email', 'sms', 'in_app']
+      }],
+      default: ['email', 'in_app']
+    },
+    // Also alert when an existing match drops its price
+    priceDropAlerts: {
+      type: Boolean,
+      default: false
+    },
     lastAlertSent: {
       type: Date
     },
@@ -4,7 +4,25 @@ import {
   updateUserRole,
   deleteUser,
   getSingleUser,
+  getOutbox,
+  clearOutbox,
 } from "../controllers/adminController.js";
+import {
+  getTopQueries,
+  getZeroResultQueries,
+  getFilterPopularity,
+} from "../controllers/searchAnalyticsController.js";
+import {
+  getModerationQueue,
+  claimListing,
+  releaseListing,
+  decideListing,
+  getModerationStats,
+} from "../controllers/moderationController.js";
+import {
+  getDuplicateGroups,
+  resolveDuplicate,
+} from "../controllers/duplicateController.js";
 import { isAdmin, protect } from "../middlewares/auth.js";
 
 const router = express.Router();
@@ -16,4 +34,20 @@ router.get("/users/:id", getSingleUser);
 router.put("/users/:id", updateUserRole);
 router.delete("/users/:id", deleteUser);
 
+router.get("/search-analytics/top-queries", getTopQueries);
+router.get("/search-analytics/zero-results", getZeroResultQueries);
+router.get("/search-analytics/filters", getFilterPopularity);
+
+router.get("/moderation/queue", getModerationQueue);
+router.get("/moderation/stats", getModerationStats);
+router.post("/moderation/:id/claim", claimListing);
+router.delete("/moderation/:id/claim", releaseListing);
+router.post("/moderation/:id/decision", decideListing);
+
+router.get("/duplicates", getDuplicateGroups);
+router.post("/duplicates/:id/resolve", resolveDuplicate);
+
+router.get("/outbox", getOutbox);
+router.delete("/outbox", clearOutbox);
+
 export default router;
@@ -9,7 +9,15 @@ import {
   resendOtp,
   deleteUser,
   forgotPassword,
+  resetPassword,
+  forgotPasswordOtp,
+  resetPasswordWithOtp,
   changePassword,
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  logout,
+  logoutAll,
 } from "../controllers/authController.js";
 import { protect } from "../middlewares/auth.js";
 import { mildLimiter, strictLimiter } from "../middlewares/rateLimiter.js";
@@ -33,8 +41,18 @@ router.post("/resend-otp", strictLimiter, resendOtp);
 
 // Forgot / Reset Password
 router.post("/forgot-password", mildLimiter, forgotPassword);
+router.post("/reset-password/:token", strictLimiter, resetPassword);
+router.post("/forgot-password-otp", strictLimiter, forgotPasswordOtp);
+router.post("/reset-password-otp", strictLimiter, resetPasswordWithOtp);
 router.patch("/change-password", mildLimiter, protect, changePassword);
 
+// Tokens & sessions
+router.post("/refresh", mildLimiter, refreshAccessToken);
+router.post("/logout", protect, logout);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, logoutAll);
+router.delete("/sessions/:id", protect, revokeSession);
+
 //Temp delete user
 router.delete("/delete", deleteUser);
 
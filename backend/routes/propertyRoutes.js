@@ -22,6 +22,10 @@ import {
   listPublicProperties,
   getPropertyAnalysis,
   getSimpleProperties,
+  getPropertyRevisions,
+  restorePropertyRevision,
+  getStatusHistory,
+  renewProperty,
 } from "../controllers/propertyController.js";
 
 // Enhanced controllers
@@ -30,8 +34,37 @@ import {
   getPropertyAnalytics,
   compareProperties,
   bulkUpdateProperties,
+  revealPropertyContact,
+  shareProperty,
+  getPropertyValuation,
 } from "../controllers/enhancedPropertyContoller.js";
 
+// Inquiry (lead) controllers
+import {
+  createInquiry,
+  getMyInquiries,
+  updateInquiryStatus,
+} from "../controllers/inquiryController.js";
+
+// Image upload controllers
+import {
+  uploadPropertyImages,
+  setMainPropertyImage,
+  deletePropertyImage,
+} from "../controllers/propertyImageController.js";
+import {
+  propertyImagesUpload,
+  propertyImportUpload,
+} from "../middlewares/upload.js";
+
+// Bulk import controllers
+import {
+  getImportTemplate,
+  importProperties,
+  getImportJob,
+  downloadImportReport,
+} from "../controllers/propertyImportController.js";
+
 // Advanced search routes
 import advancedSearchRoutes from "./searchRoutes.js";
 
@@ -58,6 +91,9 @@ router.get("/nearby", protect, getNearbyProperties);
 // Property comparison
 router.get("/compare", compareProperties);
 
+// Price estimate from comparable listings
+router.get("/valuation", getPropertyValuation);
+
 // ===========================================
 // ADMIN ROUTES
 // ===========================================
@@ -73,6 +109,42 @@ router.patch("/bulk", protect, isAdmin, bulkUpdateProperties);
 // My properties listing
 router.get("/me/list", protect, checkRole("agent", "admin"), myProperties);
 
+// Inquiries received on my listings
+router.get(
+  "/me/inquiries",
+  protect,
+  checkRole("agent", "admin"),
+  getMyInquiries
+);
+router.patch(
+  "/me/inquiries/:inquiryId",
+  protect,
+  checkRole("agent", "admin"),
+  updateInquiryStatus
+);
+
+// Bulk import from CSV/XLSX
+router.get(
+  "/import/template",
+  protect,
+  checkRole("agent", "admin"),
+  getImportTemplate
+);
+router.post(
+  "/import",
+  protect,
+  checkRole("agent", "admin"),
+  propertyImportUpload,
+  importProperties
+);
+router.get("/import/:jobId", protect, checkRole("agent", "admin"), getImportJob);
+router.get(
+  "/import/:jobId/report",
+  protect,
+  checkRole("agent", "admin"),
+  downloadImportReport
+);
+
 // ===========================================
 // PROPERTY CRUD OPERATIONS
 // ===========================================
@@ -85,12 +157,28 @@ router.post("/", protect, checkPermission("property:create"), createProperty);
 // Property analytics (owner/admin only)
 router.get("/:id/analytics", protect, getPropertyAnalytics);
 
+// Engagement tracking
+router.post("/:id/contact", optionalAuth, revealPropertyContact);
+router.post("/:id/share", optionalAuth, shareProperty);
+
+// Send an inquiry to the listing owner
+router.post("/:id/inquiries", protect, createInquiry);
+
 // Enhanced property details with view tracking
 router.get("/:id", optionalAuth, getPropertyByIdEnhanced);
 
 // Update property
 router.put("/:id", protect, checkPermission("property:update"), updateProperty);
 
+// Revision history and restore
+router.get("/:id/revisions", protect, getPropertyRevisions);
+router.post(
+  "/:id/revisions/:version/restore",
+  protect,
+  checkPermission("property:update"),
+  restorePropertyRevision
+);
+
 // Archive/Delete property
 router.delete(
   "/:id",
@@ -99,6 +187,29 @@ router.delete(
   archiveProperty
 );
 
+// ===========================================
+// PROPERTY IMAGES
+// ===========================================
+router.post(
+  "/:id/images",
+  protect,
+  checkPermission("property:update"),
+  propertyImagesUpload,
+  uploadPropertyImages
+);
+router.patch(
+  "/:id/images/:imageId/main",
+  protect,
+  checkPermission("property:update"),
+  setMainPropertyImage
+);
+router.delete(
+  "/:id/images/:imageId",
+  protect,
+  checkPermission("property:update"),
+  deletePropertyImage
+);
+
 // ===========================================
 // PROPERTY STATUS MANAGEMENT
 // ===========================================
@@ -118,7 +229,11 @@ router.patch(
   resumeProperty
 );
 
-// Admin status change
-router.patch("/:id/status", protect, checkRole("admin"), changeStatus);
+// Renew (refresh or re-publish an expired listing)
+router.patch("/:id/renew", protect, renewProperty);
+
+// Status change (moves allowed per role by the state machine)
+router.patch("/:id/status", protect, changeStatus);
+router.get("/:id/status-history", protect, getStatusHistory);
 
 export default router;
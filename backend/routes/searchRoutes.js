@@ -16,20 +16,31 @@ import {
   updateSavedSearch,
   deleteSavedSearch,
   executeSavedSearch,
+  unsubscribeSavedSearch,
   getSimilarProperties,
   getTrendingProperties,
+  getTrendingSearchQueries,
   getPopularProperties,
   getFeaturedProperties,
-  getPropertyRecommendations
+  getPropertyRecommendations,
+  calculateLoanEmi,
+  getMapClusters
 } from "../controllers/searchController.js"; 
 
 const router = express.Router();
 
 // Public search routes
-router.get("/", advancedSearchProperties);
-router.get("/autocomplete", autoComplete);
+router.get("/", optionalAuth, advancedSearchProperties);
+router.get("/autocomplete", optionalAuth, autoComplete);
 router.get("/suggestions", getSearchSuggestions);
 router.get("/facets", getFacetedResults);
+router.get("/trending-searches", getTrendingSearchQueries);
+
+// Map view clusters for a viewport
+router.get("/map", getMapClusters);
+
+// Home-loan EMI calculator
+router.get("/emi", calculateLoanEmi);
 
 // Property discovery routes
 router.get("/trending", getTrendingProperties);
@@ -39,6 +50,9 @@ router.get("/featured", getFeaturedProperties);
 // Property specific routes
 router.get("/similar/:id", getSimilarProperties);
 
+// Alert email unsubscribe link (token-authenticated)
+router.get("/saved/:id/unsubscribe", unsubscribeSavedSearch);
+
 // Protected user routes
 router.use(protect); // All routes below require authentication
 
@@ -2,13 +2,39 @@ import express from "express";
 import {
   getUserProfile,
   updateUserProfile,
+  requestMobileChange,
+  verifyMobileChange,
+  getNotifications,
+  markNotificationRead,
 } from "../controllers/userController.js";
+import {
+  addFavorite,
+  removeFavorite,
+  updateFavorite,
+  getFavorites,
+  getFavoriteFolders,
+  renameFavoriteFolder,
+} from "../controllers/favoriteController.js";
 import { isAdmin, protect } from "../middlewares/auth.js";
 import { getAllUsers } from "../controllers/adminController.js";
+import { strictLimiter } from "../middlewares/rateLimiter.js";
 
 const router = express.Router();
 
 router.get("/profile", protect, getUserProfile);
 router.patch("/update-profile", protect, updateUserProfile);
+router.post("/change-mobile", protect, strictLimiter, requestMobileChange);
+router.post("/change-mobile/verify", protect, strictLimiter, verifyMobileChange);
+
+router.get("/notifications", protect, getNotifications);
+router.patch("/notifications/:id/read", protect, markNotificationRead);
+
+// Favorites / shortlist
+router.get("/favorites", protect, getFavorites);
+router.post("/favorites", protect, addFavorite);
+router.get("/favorites/folders", protect, getFavoriteFolders);
+router.patch("/favorites/folders/:folder", protect, renameFavoriteFolder);
+router.patch("/favorites/:propertyId", protect, updateFavorite);
+router.delete("/favorites/:propertyId", protect, removeFavorite);
 
 export default router;
@@ -12,10 +12,28 @@ import reportRoutes from "./routes/reportRoutes.js";
 import searchRoutes from "./routes/searchRoutes.js";
 import errorMiddleware from "./middlewares/errorMiddleware.js";
 import { globalLimiter } from "./middlewares/rateLimiter.js";
+import { startSavedSearchAlertJob } from "./jobs/savedSearchAlerts.js";
+import { startListingExpiryJob } from "./jobs/listingExpiry.js";
+import { startPropertyImportJob } from "./jobs/propertyImport.js";
+import { UPLOAD_DIR } from "./utils/storage.js";
+import { assertSmsConfigured } from "./utils/sms.js";
+
+// OTP login depends on SMS, don't start with a misconfigured provider
+try {
+  assertSmsConfigured();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
 connectDB();
 
+// Background jobs
+startSavedSearchAlertJob();
+startListingExpiryJob();
+startPropertyImportJob();
+
 app.use(
   cors({
     origin: "*",
@@ -25,7 +43,10 @@ app.use(
 );
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(helmet());
+app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
+
+// Uploaded images (local storage driver)
+app.use("/uploads", express.static(UPLOAD_DIR, { maxAge: "30d", immutable: true }));
 app.use(errorMiddleware);
 app.use(globalLimiter);
 
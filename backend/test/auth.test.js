@@ -0,0 +1,238 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import { Session } from "../models/Session.js";
+import { signToken, verifyToken } from "../utils/jwt.js";
+import { protect, optionalAuth } from "../middlewares/auth.js";
+import {
+  verifyLoginOtp,
+  refreshAccessToken,
+  resetPassword,
+} from "../controllers/authController.js";
+import { mockRes } from "./helpers.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const mockReq = (props = {}) => ({
+  body: {},
+  headers: {},
+  ip: "127.0.0.1",
+  get: () => "node-test",
+  ...props,
+});
+
+// Query stand-in for chains like User.findOne(...).select(...)
+const query = (result) => ({ select: async () => result });
+
+let user;
+
+beforeEach(() => {
+  user = new User({
+    name: "Buyer",
+    mobile: "+919876543210",
+    role: "user",
+    isVerified: true,
+  });
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session, "create", async (doc) => new Session(doc));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("verifyLoginOtp", () => {
+  beforeEach(() => {
+    mock.method(User, "findOneAndUpdate", async () => ({ otpAttempts: user.otpAttempts + 1 }));
+  });
+
+  it("issues a session for the right code", async () => {
+    const otp = await user.setOtp("login");
+    mock.method(User, "findOne", () => query(user));
+
+    const res = mockRes();
+    await verifyLoginOtp(mockReq({ body: { mobile: user.mobile, otp } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.refreshToken);
+    assert.equal(verifyToken(res.body.token).id, user._id.toString());
+    assert.equal(user.otp, undefined);
+  });
+
+  it("rejects a wrong code and counts the attempt", async () => {
+    const otp = await user.setOtp("login");
+    mock.method(User, "findOne", () => query(user));
+
+    const res = mockRes();
+    await verifyLoginOtp(
+      mockReq({ body: { mobile: user.mobile, otp: otp === "000000" ? "111111" : "000000" } }),
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.token, undefined);
+    assert.equal(user.otpAttempts, 1);
+    assert.equal(User.prototype.save.mock.callCount(), 1);
+  });
+
+  it("answers 429 while the user is locked out", async () => {
+    const otp = await user.setOtp("login");
+    user.otpLockedUntil = new Date(Date.now() + 60000);
+    mock.method(User, "findOne", () => query(user));
+
+    const res = mockRes();
+    await verifyLoginOtp(mockReq({ body: { mobile: user.mobile, otp } }), res);
+
+    assert.equal(res.statusCode, 429);
+  });
+
+  it("does not accept a code issued for another flow", async () => {
+    const otp = await user.setOtp("reset");
+    mock.method(User, "findOne", () => query(user));
+
+    const res = mockRes();
+    await verifyLoginOtp(mockReq({ body: { mobile: user.mobile, otp } }), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("refreshAccessToken", () => {
+  it("requires a refresh token", async () => {
+    const res = mockRes();
+    await refreshAccessToken(mockReq(), res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("answers 401 for an unknown token", async () => {
+    mock.method(Session, "findOne", async () => null);
+
+    const res = mockRes();
+    await refreshAccessToken(mockReq({ body: { refreshToken: "stale" } }), res);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("resetPassword", () => {
+  const body = { password: "new-secret-1", confirmPassword: "new-secret-1" };
+
+  it("consumes the token in the query that finds it", async () => {
+    mock.method(User, "findOneAndUpdate", async () => user);
+    mock.method(Session, "updateMany", async () => ({ modifiedCount: 2 }));
+
+    const res = mockRes();
+    await resetPassword(mockReq({ params: { token: "emailed" }, body }), res);
+
+    assert.equal(res.statusCode, 200);
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.resetPasswordToken.length, 64);
+    assert.ok(filter.resetPasswordExpires.$gt);
+    assert.deepEqual(update, { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } });
+    assert.ok(await user.comparePassword("new-secret-1"));
+    assert.equal(Session.updateMany.mock.callCount(), 1);
+  });
+
+  it("refuses a link that was already used", async () => {
+    mock.method(User, "findOneAndUpdate", async () => null);
+
+    const res = mockRes();
+    await resetPassword(mockReq({ params: { token: "emailed" }, body }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+  });
+});
+
+describe("protect", () => {
+  const run = async (session, token, middleware = protect) => {
+    mock.method(User, "findById", () => query(user));
+    mock.method(Session, "findById", async () => session);
+
+    const req = mockReq({
+      headers: {
+        authorization: `Bearer ${
+          token || signToken({ id: user._id, role: user.role, sid: session?._id })
+        }`,
+      },
+    });
+    const res = mockRes();
+    const next = mock.fn();
+    await middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  const activeSession = () =>
+    new Session({
+      user: user._id,
+      refreshTokenHash: "hash",
+      expiresAt: new Date(Date.now() + 60000),
+    });
+
+  it("lets an active session through", async () => {
+    const session = activeSession();
+    const { req, next } = await run(session);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.user, user);
+    assert.equal(req.session, session);
+  });
+
+  it("refuses revoked and expired sessions", async () => {
+    const revoked = activeSession();
+    revoked.revokedAt = new Date();
+    assert.equal((await run(revoked)).res.statusCode, 401);
+
+    const expired = activeSession();
+    expired.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await run(expired)).res.statusCode, 401);
+  });
+
+  it("refuses a session that belongs to someone else", async () => {
+    const session = activeSession();
+    session.user = new User()._id;
+    const { res, next } = await run(session);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it("refuses tokens without a session or with a bad signature", async () => {
+    assert.equal(
+      (await run(null, signToken({ id: user._id, role: user.role }))).res.statusCode,
+      401
+    );
+    assert.equal((await run(activeSession(), "not.a.jwt")).res.statusCode, 401);
+  });
+
+  describe("optionalAuth", () => {
+    it("attaches the user of an active session", async () => {
+      const session = activeSession();
+      const { req, next } = await run(session, null, optionalAuth);
+
+      assert.equal(next.mock.callCount(), 1);
+      assert.equal(req.user, user);
+    });
+
+    it("treats revoked sessions and stale passwords as guests", async () => {
+      const revoked = activeSession();
+      revoked.revokedAt = new Date();
+      const guest = await run(revoked, null, optionalAuth);
+      assert.equal(guest.req.user, undefined);
+      assert.equal(guest.next.mock.callCount(), 1);
+
+      user.passwordChangedAt = new Date(Date.now() + 60000);
+      assert.equal((await run(activeSession(), null, optionalAuth)).req.user, undefined);
+    });
+
+    it("ignores a bad token", async () => {
+      const { req, res, next } = await run(activeSession(), "not.a.jwt", optionalAuth);
+
+      assert.equal(req.user, undefined);
+      assert.equal(res.statusCode, 200);
+      assert.equal(next.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Property } from "../models/Property.js";
+import { resolveDuplicate } from "../controllers/duplicateController.js";
+import { mockRes } from "./helpers.js";
+
+const admin = { _id: new Property()._id, role: "admin" };
+const otherId = new Property()._id;
+
+const flaggedListing = (status) =>
+  Property.hydrate({
+    _id: new Property()._id,
+    title: "2 BHK flat",
+    status: "active",
+    createdBy: new Property()._id,
+    duplicateCheck: {
+      status,
+      candidates: [{ property: otherId, score: 0.9, signals: ["same_address"] }],
+    },
+  });
+
+const resolve = async (property, body, id = property._id.toString()) => {
+  mock.method(Property, "findById", async () => property);
+  const res = mockRes();
+  await resolveDuplicate({ params: { id }, body, user: admin }, res);
+  return res;
+};
+
+describe("resolveDuplicate", () => {
+  beforeEach(() => {
+    mock.method(Property, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refuses listings that are not flagged", async () => {
+    const res = await resolve(flaggedListing("clear"), { action: "remove" });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(Property.updateOne.mock.callCount(), 0);
+  });
+
+  it("refuses to merge the same duplicate twice", async () => {
+    const res = await resolve(flaggedListing("merged"), {
+      action: "merge",
+      keepId: otherId.toString(),
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(Property.updateOne.mock.callCount(), 0);
+  });
+
+  it("loses the race when another request resolved it first", async () => {
+    Property.updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    const res = await resolve(flaggedListing("queued"), { action: "remove" });
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  it("answers 404 for a malformed id and 400 for a malformed keepId", async () => {
+    const property = flaggedListing("warned");
+
+    assert.equal((await resolve(property, { action: "remove" }, "nope")).statusCode, 404);
+    assert.equal(
+      (await resolve(property, { action: "merge", keepId: "nope" })).statusCode,
+      400
+    );
+    assert.equal(Property.findById.mock.callCount(), 1);
+  });
+
+  it("dismisses a flagged listing", async () => {
+    const property = flaggedListing("warned");
+    mock.method(property, "save", async () => property);
+
+    const res = await resolve(property, { action: "dismiss" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(property.duplicateCheck.status, "dismissed");
+    const [filter] = Property.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter["duplicateCheck.status"], { $in: ["warned", "queued"] });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_POLYGON_VERTICES,
+  parsePolygon,
+  parseBbox,
+  searchAreaFrom,
+  savedSearchParams,
+} from "../utils/geoArea.js";
+
+// Convex outline with `count` points on a small circle around Pune
+const circle = (count, radius = 0.01) =>
+  Array.from({ length: count }, (_, i) => {
+    const angle = (2 * Math.PI * i) / count;
+    return [73.85 + radius * Math.cos(angle), 18.52 + radius * Math.sin(angle)];
+  });
+
+describe("parsePolygon", () => {
+  it("closes an open ring and keeps a closed one as is", () => {
+    const open = [[73.8, 18.5], [73.9, 18.5], [73.9, 18.6]];
+    const { geometry } = parsePolygon(open);
+    assert.equal(geometry.type, "Polygon");
+    assert.deepEqual(geometry.coordinates[0], [...open, [73.8, 18.5]]);
+
+    const closed = parsePolygon(JSON.stringify({ type: "Polygon", coordinates: [geometry.coordinates[0]] }));
+    assert.equal(closed.geometry.coordinates[0].length, 4);
+  });
+
+  it("limits the number of points", () => {
+    assert.ok(parsePolygon(circle(MAX_POLYGON_VERTICES)).geometry);
+    assert.match(parsePolygon(circle(MAX_POLYGON_VERTICES + 1)).error, /at most/);
+    assert.match(parsePolygon([[73.8, 18.5], [73.9, 18.5]]).error, /at least 3/);
+  });
+
+  it("rejects an outline that crosses itself", () => {
+    const bowtie = [[73.8, 18.5], [73.9, 18.6], [73.9, 18.5], [73.8, 18.6]];
+    assert.match(parsePolygon(bowtie).error, /must not cross/);
+  });
+
+  it("rejects an outline without area", () => {
+    assert.match(parsePolygon([[0, 0], [1, 0], [2, 0]]).error, /enclose an area/);
+  });
+
+  it("limits the searched area", () => {
+    const square = [[73, 18], [74, 18], [74, 19], [73, 19]];
+    const { areaKm2 } = parsePolygon(square, { maxAreaKm2: Infinity });
+    assert.ok(areaKm2 > 11000 && areaKm2 < 12500, String(areaKm2));
+
+    assert.match(parsePolygon(square, { maxAreaKm2: 10000 }).error, /smaller than 10000/);
+    assert.match(
+      parsePolygon(square, { maxAreaKm2: areaKm2 / 2 }).error,
+      /Search area must be smaller/
+    );
+  });
+
+  it("rejects malformed input", () => {
+    assert.ok(parsePolygon("not json").error);
+    assert.ok(parsePolygon([[200, 0], [1, 1], [0, 1]]).error);
+    assert.match(
+      parsePolygon({ type: "Polygon", coordinates: [circle(4), circle(4, 0.001)] }).error,
+      /without holes/
+    );
+  });
+});
+
+describe("parseBbox", () => {
+  it("turns a viewport into a closed polygon", () => {
+    const { geometry } = parseBbox("73.8,18.5,73.9,18.6");
+    assert.deepEqual(geometry.coordinates[0], [
+      [73.8, 18.5],
+      [73.9, 18.5],
+      [73.9, 18.6],
+      [73.8, 18.6],
+      [73.8, 18.5],
+    ]);
+  });
+
+  it("requires min values below max values", () => {
+    assert.match(parseBbox("73.9,18.5,73.8,18.6").error, /smaller than its max/);
+    assert.match(parseBbox("73.8,18.6,73.9,18.6").error, /smaller than its max/);
+    assert.match(parseBbox("73.8,18.5,73.9").error, /minLng,minLat,maxLng,maxLat/);
+  });
+
+  it("allows zoomed-out viewports up to half the globe", () => {
+    assert.ok(parseBbox("-90,-45,90,45").geometry);
+    assert.match(parseBbox("-100,-10,100,10").error, /at most 180°/);
+    assert.match(parseBbox("0,-50,10,50").error, /at most 180°/);
+  });
+});
+
+describe("searchAreaFrom", () => {
+  it("takes either a bbox or a polygon", () => {
+    assert.deepEqual(searchAreaFrom({}), {});
+    assert.ok(searchAreaFrom({ bbox: "73.8,18.5,73.9,18.6" }).geometry);
+    assert.match(
+      searchAreaFrom({ bbox: "73.8,18.5,73.9,18.6", polygon: circle(4) }).error,
+      /either bbox or polygon/
+    );
+  });
+
+  it("puts a saved area back into the search params", () => {
+    const { geometry } = parsePolygon(circle(4));
+    const params = savedSearchParams({ city: "Pune" }, { geometry });
+    assert.deepEqual(JSON.parse(params.polygon), geometry);
+    assert.deepEqual(savedSearchParams({ city: "Pune" }), { city: "Pune" });
+  });
+});
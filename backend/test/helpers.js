@@ -0,0 +1,13 @@
+// Stand-in for the Express response, records what a handler sent
+export const mockRes = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
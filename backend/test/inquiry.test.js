@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import { Property } from "../models/Property.js";
+import { Inquiry } from "../models/Inquiry.js";
+import { createInquiry } from "../controllers/inquiryController.js";
+import { mockRes } from "./helpers.js";
+
+const buyer = new User({ name: "Buyer", mobile: "+919876543210", email: "buyer@example.com" });
+const owner = new User({ name: "Owner", mobile: "+919800000001" });
+const property = new Property({ title: "2 BHK flat", status: "active", createdBy: owner._id });
+
+const send = async (body = {}, id = property._id.toString()) => {
+  const res = mockRes();
+  const next = mock.fn();
+  await createInquiry({ params: { id }, body, user: buyer }, res, next);
+  return { res, next };
+};
+
+describe("createInquiry", () => {
+  let created;
+
+  beforeEach(() => {
+    created = null;
+    mock.method(Property, "findById", () => ({ select: async () => property }));
+    mock.method(Property, "findByIdAndUpdate", async () => property);
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(Inquiry, "findOne", async () => null);
+    mock.method(Inquiry, "create", async (doc) => {
+      created = new Inquiry(doc);
+      await created.validate();
+      return created;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("falls back to the user's E.164 mobile", async () => {
+    const { res, next } = await send();
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 201);
+    assert.equal(created.phone, "+919876543210");
+  });
+
+  it("normalizes a typed national number", async () => {
+    await send({ phone: "098765 43210" });
+    assert.equal(created.phone, "+919876543210");
+  });
+
+  it("answers 400 for a bad phone number", async () => {
+    const { res } = await send({ phone: "12ab" });
+    assert.equal(res.statusCode, 400);
+    assert.equal(created, null);
+  });
+
+  it("answers 400 for an unknown preferredContactTime", async () => {
+    const { res } = await send({ preferredContactTime: "midnight" });
+    assert.equal(res.statusCode, 400);
+    assert.equal(created, null);
+  });
+
+  it("answers 400 for an overlong message or a bad email", async () => {
+    const long = await send({ message: "a".repeat(2001) });
+    assert.equal(long.res.statusCode, 400);
+
+    const email = await send({ email: "buyer-at-example" });
+    assert.equal(email.res.statusCode, 400);
+    assert.equal(created, null);
+
+    await send({ message: ` ${"a".repeat(2000)} `, email: "Buyer@Example.com" });
+    assert.equal(created.message.length, 2000);
+    assert.equal(created.email, "buyer@example.com");
+  });
+
+  it("answers 400 for a malformed property id", async () => {
+    const { res } = await send({}, "not-an-id");
+    assert.equal(res.statusCode, 400);
+    assert.equal(Property.findById.mock.callCount(), 0);
+  });
+});
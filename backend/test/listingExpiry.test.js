@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Property } from "../models/Property.js";
+import { User } from "../models/User.js";
+import { Notification } from "../models/Notification.js";
+import {
+  LISTING_EXPIRY_DAYS,
+  LISTING_EXPIRY_REMINDER_DAYS,
+  sendExpiryReminders,
+  expireStaleListings,
+} from "../jobs/listingExpiry.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-06-01T00:00:00Z");
+const owner = new User({ name: "Owner", mobile: "+919800000001" });
+
+// Stand-in for Property.find(...).select(...).lean().cursor()
+const findReturning = (docs) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: async function* () {
+      yield* docs;
+    },
+  };
+  return query;
+};
+
+describe("listing expiry", () => {
+  beforeEach(() => {
+    mock.method(User, "findById", () => ({ select: async () => owner }));
+    mock.method(Notification, "create", async (doc) => doc);
+    mock.method(Property, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("gives listings already past their expiry the full reminder lead time", async () => {
+    // Created before lastRefreshedAt was tracked
+    const legacy = {
+      _id: new Property()._id,
+      title: "Old flat",
+      createdBy: owner._id,
+      createdAt: new Date(now - 200 * DAY_MS),
+    };
+    mock.method(Property, "find", () => findReturning([legacy]));
+
+    assert.equal(await sendExpiryReminders(now), 1);
+
+    const [{ arguments: [notification] }] = Notification.create.mock.calls;
+    assert.match(notification.title, new RegExp(`expires in ${LISTING_EXPIRY_REMINDER_DAYS} days`));
+    assert.equal(
+      notification.data.expiresOn.getTime(),
+      now.getTime() + LISTING_EXPIRY_REMINDER_DAYS * DAY_MS
+    );
+  });
+
+  it("only expires listings whose owner was reminded long enough ago", async () => {
+    mock.method(Property, "find", () => findReturning([]));
+
+    await expireStaleListings(now);
+
+    const [filter] = Property.find.mock.calls[0].arguments;
+    assert.deepEqual(filter.expiryReminderSentAt, {
+      $lte: new Date(now - LISTING_EXPIRY_REMINDER_DAYS * DAY_MS),
+    });
+    // The reminder has to belong to the current refresh period
+    assert.deepEqual(filter.$expr.$gte[0], "$expiryReminderSentAt");
+    assert.deepEqual(filter.$or[0], {
+      lastRefreshedAt: { $lte: new Date(now - LISTING_EXPIRY_DAYS * DAY_MS) },
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAP_POINTS_MIN_ZOOM,
+  clusterCellSize,
+  buildMapLayer,
+} from "../utils/mapClusters.js";
+
+// Stand-in for AdvancedApiFeatures with the search filters applied
+const searchFeatures = (results, total = 0) => ({
+  convertToAggregation: mock.fn(),
+  pipeline: () => [{ $match: { status: "active" } }],
+  count: async () => total,
+  model: { aggregate: mock.fn(async () => results) },
+});
+
+const bbox = [73.8, 18.5, 73.9, 18.6];
+
+describe("clusterCellSize", () => {
+  it("covers a quarter of the world at zoom 0 and halves per zoom level", () => {
+    assert.deepEqual(clusterCellSize(0), { lng: 90, lat: 90 });
+    assert.equal(clusterCellSize(1).lng, 45);
+    assert.equal(clusterCellSize(10).lng, 90 / 1024);
+  });
+
+  it("shrinks latitude cells away from the equator", () => {
+    const { lng, lat } = clusterCellSize(4, 60);
+    assert.ok(Math.abs(lat - lng / 2) < 1e-9);
+  });
+});
+
+describe("buildMapLayer", () => {
+  it("groups listings into grid clusters below MAP_POINTS_MIN_ZOOM", async () => {
+    const features = searchFeatures([
+      { _id: { x: 1, y: 2 }, count: 3, lng: 73.85, lat: 18.55, minPrice: 100, avgPrice: 200.4, propertyId: "a" },
+      { _id: { x: 4, y: 0 }, count: 1, lng: 73.88, lat: 18.51, minPrice: 300, avgPrice: 300, propertyId: "b" },
+    ]);
+
+    const layer = await buildMapLayer(features, { bbox, zoom: 12 });
+
+    assert.equal(layer.mode, "clusters");
+    assert.equal(layer.total, 4);
+    assert.deepEqual(layer.cellSize, clusterCellSize(12, 18.55));
+    assert.deepEqual(layer.data[0], {
+      type: "cluster",
+      id: "12:1:2",
+      count: 3,
+      centroid: { lat: 18.55, lng: 73.85 },
+      minPrice: 100,
+      avgPrice: 200,
+    });
+    assert.equal(layer.data[1].propertyId, "b");
+
+    const [pipeline] = features.model.aggregate.mock.calls[0].arguments;
+    assert.deepEqual(pipeline[0], { $match: { status: "active" } });
+    assert.ok(pipeline.some((stage) => stage.$group));
+    assert.equal(features.convertToAggregation.mock.callCount(), 1);
+  });
+
+  it("returns individual listings from MAP_POINTS_MIN_ZOOM on", async () => {
+    const features = searchFeatures(
+      [{ _id: "a", title: "2 BHK flat", price: 5000000, lng: 73.85, lat: 18.55 }],
+      600
+    );
+
+    const layer = await buildMapLayer(features, { bbox, zoom: MAP_POINTS_MIN_ZOOM });
+
+    assert.equal(layer.mode, "points");
+    assert.equal(layer.total, 600);
+    assert.equal(layer.truncated, true);
+    assert.deepEqual(layer.data, [
+      {
+        type: "point",
+        _id: "a",
+        title: "2 BHK flat",
+        price: 5000000,
+        location: { lat: 18.55, lng: 73.85 },
+      },
+    ]);
+  });
+});
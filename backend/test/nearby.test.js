@@ -0,0 +1,42 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Property } from "../models/Property.js";
+import { getNearbyProperties } from "../controllers/propertyController.js";
+import { mockRes } from "./helpers.js";
+
+const search = async (query) => {
+  const res = mockRes();
+  await getNearbyProperties({ query: { lat: "18.52", lng: "73.85", ...query } }, res);
+  return res;
+};
+
+describe("getNearbyProperties", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a zero, negative or non-numeric distance", async () => {
+    mock.method(Property, "aggregate", async () => []);
+
+    for (const distance of ["0", "-3", "abc"]) {
+      const res = await search({ distance });
+      assert.equal(res.statusCode, 400, distance);
+    }
+    assert.equal(Property.aggregate.mock.callCount(), 0);
+  });
+
+  it("sorts by $geoNear distance and reports it in the requested unit", async () => {
+    const pipelines = [];
+    mock.method(Property, "aggregate", async (pipeline) => {
+      pipelines.push(pipeline);
+      if (pipeline.at(-1)?.$count) return [{ total: 1 }];
+      return [{ _id: "p1", title: "Flat", distanceMeters: 1609.344 }];
+    });
+    mock.method(Property, "populate", async (docs) => docs);
+
+    const res = await search({ distance: "2", unit: "mi" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data[0].distance, 1);
+    const geoNear = pipelines.find((pipeline) => pipeline[0]?.$geoNear)[0].$geoNear;
+    assert.ok(Math.abs(geoNear.maxDistance - 2 * 1609.344) < 1e-6);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import {
+  OTP_MAX_ATTEMPTS,
+  generateOtp,
+  hashOtp,
+  compareOtp,
+  isOtpExpired,
+} from "../utils/otp.js";
+
+const newUser = () =>
+  new User({ name: "Test User", mobile: "+919876543210", isVerified: true });
+
+describe("otp utils", () => {
+  it("generates six digit codes", () => {
+    for (let i = 0; i < 50; i += 1) {
+      assert.match(generateOtp(), /^\d{6}$/);
+    }
+  });
+
+  it("stores a salted hash that only matches the original code", async () => {
+    const hash = await hashOtp("123456");
+
+    assert.notEqual(hash, "123456");
+    assert.notEqual(hash, await hashOtp("123456"));
+    assert.equal(await compareOtp("123456", hash), true);
+    assert.equal(await compareOtp(123456, hash), true);
+    assert.equal(await compareOtp("654321", hash), false);
+  });
+
+  it("treats missing and past expiry dates as expired", () => {
+    assert.equal(isOtpExpired(undefined), true);
+    assert.equal(isOtpExpired(new Date(Date.now() - 1000)), true);
+    assert.equal(isOtpExpired(new Date(Date.now() + 60000)), false);
+  });
+});
+
+describe("User OTP flow", () => {
+  // In-memory stand-in for the attempt counter stored on the user
+  let storedAttempts;
+
+  beforeEach(() => {
+    storedAttempts = 0;
+    mock.method(User, "findOneAndUpdate", async (filter) => {
+      if (storedAttempts >= filter.otpAttempts.$lt) return null;
+      storedAttempts += 1;
+      return { otpAttempts: storedAttempts };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("never keeps the plain code on the user", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("login");
+
+    assert.notEqual(user.otp, otp);
+    assert.equal(user.otpPurpose, "login");
+    assert.ok(user.otpExpiry > new Date());
+    assert.ok(user.otpCooldownRemaining() > 0);
+  });
+
+  it("accepts the code once, for its own purpose only", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("login");
+
+    assert.equal(await user.verifyOtp(otp, "reset"), "invalid");
+    assert.equal(await user.verifyOtp(otp, "login"), "valid");
+    assert.equal(user.otp, undefined);
+    assert.equal(await user.verifyOtp(otp, "login"), "invalid");
+  });
+
+  it("burns expired codes", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("signup");
+    user.otpExpiry = new Date(Date.now() - 1000);
+
+    assert.equal(await user.verifyOtp(otp, "signup"), "expired");
+    assert.equal(user.otp, undefined);
+  });
+
+  it("locks the user after too many wrong codes", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("login");
+    const wrong = otp === "000000" ? "111111" : "000000";
+
+    for (let i = 1; i < OTP_MAX_ATTEMPTS; i += 1) {
+      assert.equal(await user.verifyOtp(wrong, "login"), "invalid");
+    }
+    assert.equal(await user.verifyOtp(wrong, "login"), "locked");
+    assert.equal(user.isOtpLocked(), true);
+
+    // Even the right code is refused while locked
+    assert.equal(await user.verifyOtp(otp, "login"), "locked");
+  });
+
+  it("leaves the attempt counter to the database", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("login");
+
+    assert.equal(await user.verifyOtp(otp === "000000" ? "111111" : "000000", "login"), "invalid");
+    assert.equal(user.otpAttempts, 1);
+    assert.equal(user.isModified("otpAttempts"), false);
+  });
+
+  it("refuses guesses once parallel requests used up the attempts", async () => {
+    const user = newUser();
+    const otp = await user.setOtp("login");
+    const wrong = otp === "000000" ? "111111" : "000000";
+    storedAttempts = OTP_MAX_ATTEMPTS - 1;
+
+    assert.equal(await user.verifyOtp(wrong, "login"), "locked");
+
+    // A request that loaded the user before the lockout was saved
+    const stale = newUser();
+    stale._id = user._id;
+    stale.otp = await hashOtp(otp);
+    stale.otpPurpose = "login";
+    stale.otpExpiry = new Date(Date.now() + 60000);
+
+    assert.equal(await stale.verifyOtp(otp, "login"), "locked");
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Property } from "../models/Property.js";
+import { PropertyRevision } from "../models/PropertyRevision.js";
+import { afterPropertyUpdate } from "../utils/propertyChanges.js";
+
+const ownerId = new Property()._id;
+const owner = { _id: ownerId, role: "agent" };
+const admin = { _id: new Property()._id, role: "admin" };
+
+const listing = (fields) =>
+  Property.hydrate({
+    _id: ownerId,
+    title: "2 BHK flat",
+    status: "active",
+    price: 5000000,
+    bedrooms: 2,
+    createdBy: ownerId,
+    ...fields,
+  });
+
+// Queries sent to Property.updateOne, keyed by what they set
+const updatesSetting = (path) =>
+  Property.updateOne.mock.calls
+    .map((call) => call.arguments)
+    .filter(([, update]) => update.$set?.[path] !== undefined);
+
+describe("afterPropertyUpdate", () => {
+  beforeEach(() => {
+    mock.method(PropertyRevision, "findOne", () => ({
+      sort: () => ({ select: () => ({ lean: async () => ({ version: 3 }) }) }),
+    }));
+    mock.method(PropertyRevision, "create", async (doc) => doc);
+    mock.method(Property, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("re-queues owner edits of reviewed fields on live listings", async () => {
+    const revision = await afterPropertyUpdate({
+      before: listing(),
+      after: listing({ title: "Renamed flat" }),
+      fields: ["title"],
+      user: owner,
+      action: "restore",
+      restoredFrom: 1,
+    });
+
+    assert.equal(revision.version, 4);
+    assert.equal(revision.action, "restore");
+    const [[filter, update]] = updatesSetting("moderation");
+    assert.deepEqual(filter, { _id: ownerId, "moderation.queuedAt": null });
+    assert.equal(update.$set.moderation.reason, "edited");
+    assert.equal(update.$set.moderation.revision, 4);
+  });
+
+  it("leaves unreviewed fields, admins and drafts alone", async () => {
+    await afterPropertyUpdate({
+      before: listing(),
+      after: listing({ bedrooms: 3 }),
+      fields: ["bedrooms"],
+      user: owner,
+    });
+    await afterPropertyUpdate({
+      before: listing(),
+      after: listing({ title: "Renamed" }),
+      fields: ["title"],
+      user: admin,
+    });
+    await afterPropertyUpdate({
+      before: listing({ status: "draft" }),
+      after: listing({ status: "draft", title: "Renamed" }),
+      fields: ["title"],
+      user: owner,
+    });
+
+    assert.equal(updatesSetting("moderation").length, 0);
+  });
+
+  it("records nothing when no field changed", async () => {
+    const revision = await afterPropertyUpdate({
+      before: listing(),
+      after: listing(),
+      fields: ["title", "price"],
+      user: owner,
+    });
+
+    assert.equal(revision, null);
+    assert.equal(PropertyRevision.create.mock.callCount(), 0);
+  });
+
+  it("takes the next version when a concurrent edit got there first", async () => {
+    let latest = 3;
+    PropertyRevision.findOne.mock.mockImplementation(() => ({
+      sort: () => ({ select: () => ({ lean: async () => ({ version: latest }) }) }),
+    }));
+    PropertyRevision.create.mock.mockImplementationOnce(async () => {
+      latest = 4;
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+
+    const revision = await afterPropertyUpdate({
+      before: listing(),
+      after: listing({ price: 5500000 }),
+      fields: ["price"],
+      user: owner,
+    });
+
+    assert.equal(revision.version, 5);
+    assert.equal(PropertyRevision.create.mock.callCount(), 2);
+  });
+
+  it("stores the duplicate check it is given", async () => {
+    const duplicateCheck = { status: "warned", candidates: [], checkedAt: new Date() };
+    await afterPropertyUpdate({
+      before: listing(),
+      after: listing({ price: 5100000 }),
+      fields: ["price"],
+      user: owner,
+      duplicates: { action: "warn", matches: [], duplicateCheck },
+    });
+
+    const [[, update]] = updatesSetting("duplicateCheck");
+    assert.equal(update.$set.duplicateCheck, duplicateCheck);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { buffer } from "node:stream/consumers";
+import { Property } from "../models/Property.js";
+import { AdvancedApiFeatures } from "../utils/apiFeatures.js";
+import {
+  MAX_EXPORT_ROWS,
+  streamPropertyExport,
+  sendPropertyExport,
+} from "../utils/propertyExport.js";
+import { mockRes } from "./helpers.js";
+
+// Writable stand-in for the Express response
+const streamRes = () => {
+  const res = new PassThrough();
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (headers) => {
+    res.headers = headers;
+    return res;
+  };
+  return res;
+};
+
+// Stand-in for a lean query cursor
+const cursorOf = (docs) => ({
+  closed: false,
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  },
+  async close() {
+    this.closed = true;
+  },
+});
+
+const listings = [
+  {
+    _id: "64b000000000000000000001",
+    title: "=HYPERLINK(\"http://evil\")",
+    price: 5000000,
+    location: { city: "Pune", coordinates: { type: "Point", coordinates: [73.85, 18.52] } },
+    amenities: ["lift", "gym"],
+    contact: { phone: "9876543210" },
+    createdAt: new Date("2026-01-02T03:04:05Z"),
+  },
+  { _id: "64b000000000000000000002", title: "Plot", price: 900000 },
+];
+
+const exportOf = async (format, options = {}) => {
+  const res = streamRes();
+  const cursor = cursorOf(listings);
+  const body = buffer(res);
+  await streamPropertyExport(res, cursor, { format, ...options });
+  return { res, cursor, body: (await body).toString("utf8") };
+};
+
+describe("streamPropertyExport", () => {
+  it("writes a CSV with import headers, safe cells and no contact details", async () => {
+    const { res, cursor, body } = await exportOf("csv", { fileName: "my-listings" });
+    const [header, first, second] = body.replace(/^\uFEFF/, "").split("\r\n");
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Content-Disposition"], /my-listings-\d{4}-\d{2}-\d{2}\.csv/);
+    assert.ok(body.startsWith("\uFEFF"));
+    assert.ok(header.startsWith("id,title,status"));
+    assert.ok(!header.includes("contact.phone"));
+    assert.ok(first.includes(`"'=HYPERLINK(""http://evil"")"`));
+    assert.ok(first.includes("18.52,73.85,lift; gym"));
+    assert.ok(first.includes("2026-01-02T03:04:05.000Z"));
+    assert.ok(second.startsWith("64b000000000000000000002,Plot,"));
+    assert.ok(cursor.closed);
+  });
+
+  it("adds contact columns only when asked to", async () => {
+    const { body } = await exportOf("csv", { includeContact: true });
+    assert.ok(body.includes("contact.phone"));
+    assert.ok(body.includes("9876543210"));
+  });
+
+  it("writes a GeoJSON feature collection", async () => {
+    const { res, body } = await exportOf("geojson");
+    const { type, features } = JSON.parse(body);
+
+    assert.equal(res.headers["Content-Type"], "application/geo+json");
+    assert.equal(type, "FeatureCollection");
+    assert.equal(features.length, 2);
+    assert.deepEqual(features[0].geometry, { type: "Point", coordinates: [73.85, 18.52] });
+    assert.equal(features[0].properties["location.city"], "Pune");
+    assert.equal(features[0].properties.lat, undefined);
+    assert.equal(features[1].geometry, null);
+  });
+});
+
+describe("sendPropertyExport", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects unknown formats", async () => {
+    const res = mockRes();
+    await sendPropertyExport({ query: { format: "pdf" } }, res, Property.find());
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("caps the export at MAX_EXPORT_ROWS and leaves contact details out", async () => {
+    mock.method(AdvancedApiFeatures.prototype, "cursor", () => cursorOf([]));
+
+    const res = streamRes();
+    const body = buffer(res);
+    await sendPropertyExport({ query: { format: "csv" } }, res, Property.find());
+    await body;
+
+    const [{ limit, select }] = AdvancedApiFeatures.prototype.cursor.mock.calls[0].arguments;
+    assert.equal(limit, MAX_EXPORT_ROWS);
+    assert.equal(select.title, 1);
+    assert.equal(select.contact, undefined);
+  });
+});
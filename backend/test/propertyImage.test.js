@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { Property } from "../models/Property.js";
+import { PropertyRevision } from "../models/PropertyRevision.js";
+import {
+  uploadPropertyImages,
+  setMainPropertyImage,
+  deletePropertyImage,
+} from "../controllers/propertyImageController.js";
+import { IMAGE_VARIANTS, processPropertyImage } from "../utils/imageProcessor.js";
+import { getStorage } from "../utils/storage.js";
+import { mockRes } from "./helpers.js";
+
+const owner = { _id: new Property()._id, role: "agent" };
+
+const activeListing = () =>
+  Property.hydrate({
+    _id: new Property()._id,
+    title: "2 BHK flat",
+    status: "active",
+    propertyType: "apartment",
+    createdBy: owner._id,
+    images: [
+      { _id: new Property()._id, url: "/a.jpg", isMain: true, fingerprint: "aaaa" },
+      { _id: new Property()._id, url: "/b.jpg", isMain: false, fingerprint: "bbbb" },
+    ],
+  });
+
+describe("image edits on a live listing", () => {
+  let property;
+
+  beforeEach(() => {
+    property = activeListing();
+    mock.method(Property, "findById", async () => property);
+    mock.method(Property.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Property, "find", () => ({
+      select: () => ({ limit: () => ({ lean: async () => [] }) }),
+    }));
+    mock.method(Property, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(PropertyRevision, "findOne", () => ({
+      sort: () => ({ select: () => ({ lean: async () => null }) }),
+    }));
+    mock.method(PropertyRevision, "create", async (doc) => doc);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const moderationUpdates = () =>
+    Property.updateOne.mock.calls.filter(({ arguments: [, update] }) => update.$set.moderation);
+
+  it("deleting a photo records a revision, re-queues and re-checks duplicates", async () => {
+    const res = mockRes();
+    const imageId = property.images[1]._id.toString();
+    await deletePropertyImage({ params: { id: property._id, imageId }, user: owner }, res);
+
+    assert.equal(res.statusCode, 200);
+    const [{ arguments: [revision] }] = PropertyRevision.create.mock.calls;
+    assert.equal(revision.changes[0].field, "images");
+    assert.equal(revision.changes[0].before.length, 2);
+    assert.equal(revision.changes[0].after.length, 1);
+    assert.equal(moderationUpdates().length, 1);
+    assert.equal(Property.find.mock.callCount(), 1);
+  });
+
+  it("changing the cover is reviewed too", async () => {
+    const res = mockRes();
+    const imageId = property.images[1]._id.toString();
+    await setMainPropertyImage({ params: { id: property._id, imageId }, user: owner }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(PropertyRevision.create.mock.callCount(), 1);
+    assert.equal(moderationUpdates().length, 1);
+  });
+});
+
+describe("image uploads", () => {
+  // Fully transparent 4x4 PNG
+  const transparentPng = () =>
+    sharp({
+      create: { width: 4, height: 4, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+    })
+      .png()
+      .toBuffer();
+
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    const storage = getStorage();
+    mock.method(storage, "put", async (key, buffer) => {
+      stored.set(key, buffer);
+      return `/uploads/${key}`;
+    });
+    mock.method(storage, "remove", async (key) => {
+      stored.delete(key);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("puts transparent areas on white instead of black", async () => {
+    const image = await processPropertyImage(
+      { buffer: await transparentPng(), originalname: "logo.png" },
+      "listing-1"
+    );
+
+    const { data } = await sharp(stored.get(`${image.public_id}/thumbnail.jpg`))
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    assert.ok(data.every((value) => value > 245), String(data.slice(0, 3)));
+  });
+
+  it("removes the stored files when the listing cannot be saved", async () => {
+    const property = activeListing();
+    mock.method(Property, "findById", async () => property);
+    mock.method(Property.prototype, "save", async () => {
+      throw new Error("write conflict");
+    });
+
+    const files = [{ buffer: await transparentPng(), originalname: "logo.png" }];
+    await assert.rejects(
+      uploadPropertyImages({ params: { id: property._id }, files, body: {}, user: owner }, mockRes()),
+      /write conflict/
+    );
+
+    assert.equal(getStorage().put.mock.callCount(), Object.keys(IMAGE_VARIANTS).length);
+    assert.equal(stored.size, 0);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  IMPORT_TEMPLATE_COLUMNS,
+  mapImportHeaders,
+  mapImportRow,
+  parseImportFile,
+  importPropertyRows,
+  summarizeImport,
+  csvLine,
+} from "../utils/propertyImport.js";
+
+describe("mapImportHeaders", () => {
+  it("recognises template headers in any case and spacing", () => {
+    const { columns, unknownColumns } = mapImportHeaders([
+      "Title",
+      " PRICE ",
+      "Area (sqft)",
+      "location.city",
+      "Favourite colour",
+    ]);
+
+    assert.deepEqual(columns.slice(0, 4), ["title", "price", "areaSqft", "location.city"]);
+    assert.equal(columns[4], null);
+    assert.deepEqual(unknownColumns, ["Favourite colour"]);
+  });
+
+  it("ignores repeated columns", () => {
+    const { columns, unknownColumns } = mapImportHeaders(["title", "Title"]);
+    assert.deepEqual(columns, ["title", null]);
+    assert.deepEqual(unknownColumns, ["Title"]);
+  });
+
+  it("knows every template column", () => {
+    const { columns } = mapImportHeaders(IMPORT_TEMPLATE_COLUMNS);
+    assert.ok(columns.every(Boolean));
+  });
+});
+
+describe("mapImportRow", () => {
+  const { columns } = mapImportHeaders([
+    "title",
+    "price",
+    "listingType",
+    "amenities",
+    "location.city",
+  ]);
+
+  it("builds a nested createProperty payload", () => {
+    const { input, issues } = mapImportRow(
+      ["Sea view flat", "₹ 85,00,000", "SALE", "lift; gym", "Mumbai"],
+      columns
+    );
+
+    assert.deepEqual(issues, []);
+    assert.equal(input.price, 8500000);
+    assert.equal(input.listingType, "sale");
+    assert.deepEqual(input.amenities, ["lift", "gym"]);
+    assert.deepEqual(input.location, { city: "Mumbai" });
+  });
+
+  it("reports values of the wrong type", () => {
+    const { issues } = mapImportRow(["Flat", "lots", "sale", "", ""], columns);
+    assert.equal(issues.length, 1);
+    assert.match(issues[0], /price must be a number/);
+  });
+});
+
+describe("parseImportFile", () => {
+  it("keeps sheet row numbers across blank lines", async () => {
+    const csv = "title,price\nFirst,100\n\nSecond,200\n";
+    const { headers, rows } = await parseImportFile(Buffer.from(csv), "csv");
+
+    assert.deepEqual(headers, ["title", "price"]);
+    assert.deepEqual(rows.map(({ row }) => row), [2, 4]);
+  });
+});
+
+describe("importPropertyRows", () => {
+  it("fails rows that createProperty would reject, without touching the database", async () => {
+    const { columns } = mapImportHeaders(["title", "price", "lat", "lng"]);
+    const results = await importPropertyRows(
+      [
+        { row: 2, values: ["Flat", "abc", "", ""] },
+        { row: 3, values: ["Flat", "100", "95", "72"] },
+      ],
+      columns,
+      { dryRun: true }
+    );
+
+    assert.deepEqual(results.map(({ status }) => status), ["failed", "failed"]);
+    assert.match(results[0].issues[0], /price must be a number/);
+    assert.ok(results[1].issues.length > 0);
+    assert.deepEqual(summarizeImport(results), {
+      createdCount: 0,
+      failedCount: 2,
+      skippedCount: 0,
+    });
+  });
+});
+
+describe("csvLine", () => {
+  it("quotes cells that need it", () => {
+    assert.equal(csvLine(["a,b", 'say "hi"', 3, null]), '"a,b","say ""hi""",3,\r\n');
+  });
+
+  it("neutralises spreadsheet formulas", () => {
+    assert.equal(csvLine(["=SUM(A1)", "@cmd", "+1"]), "'=SUM(A1),'@cmd,'+1\r\n");
+    assert.equal(csvLine(["-2+3+cmd|A0"]), "'-2+3+cmd|A0\r\n");
+    // Numbers are written as numbers, negative ones included
+    assert.equal(csvLine([-250]), "-250\r\n");
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import { Property } from "../models/Property.js";
+import {
+  PROPERTY_TRANSITIONS,
+  SYSTEM_ACTOR,
+  allowedTransitions,
+  assertTransition,
+  transitionProperty,
+} from "../utils/propertyStateMachine.js";
+
+const owner = new User({ name: "Owner", mobile: "+919800000001", role: "agent" });
+const admin = new User({ name: "Admin", mobile: "+919800000002", role: "admin" });
+const stranger = new User({ name: "Other", mobile: "+919800000003", role: "agent" });
+
+const listing = (status) =>
+  new Property({ title: "2 BHK flat", status, createdBy: owner._id });
+
+const statusError = (statusCode) => (error) => {
+  assert.equal(error.statusCode, statusCode);
+  return true;
+};
+
+describe("PROPERTY_TRANSITIONS", () => {
+  it("only moves between known statuses", () => {
+    const statuses = Object.keys(PROPERTY_TRANSITIONS);
+    for (const moves of Object.values(PROPERTY_TRANSITIONS)) {
+      for (const [to, roles] of Object.entries(moves)) {
+        assert.ok(statuses.includes(to), to);
+        assert.ok(roles.length > 0);
+      }
+    }
+  });
+});
+
+describe("allowedTransitions", () => {
+  it("depends on who is asking", () => {
+    const property = listing("pending");
+
+    assert.deepEqual(allowedTransitions(property, owner).sort(), ["archived", "draft"]);
+    assert.deepEqual(
+      allowedTransitions(property, admin).sort(),
+      ["active", "approved", "archived", "rejected"]
+    );
+    assert.deepEqual(allowedTransitions(property, stranger), []);
+  });
+
+  it("lets background jobs expire active listings", () => {
+    assert.deepEqual(allowedTransitions(listing("active"), SYSTEM_ACTOR), ["expired"]);
+  });
+});
+
+describe("assertTransition", () => {
+  it("refuses users who do not own the listing", () => {
+    assert.throws(() => assertTransition(listing("draft"), "pending", stranger), statusError(403));
+  });
+
+  it("refuses a move to the current status", () => {
+    assert.throws(() => assertTransition(listing("active"), "active", admin), statusError(400));
+  });
+
+  it("refuses moves the table does not have", () => {
+    assert.throws(() => assertTransition(listing("sold"), "active", admin), statusError(400));
+  });
+
+  it("keeps moderation moves for admins", () => {
+    assert.throws(() => assertTransition(listing("pending"), "active", owner), statusError(403));
+    assert.doesNotThrow(() => assertTransition(listing("pending"), "active", admin));
+  });
+
+  it("lets owners lift only the holds they placed", () => {
+    const ownHold = listing("hold");
+    ownHold.heldBy = owner._id;
+    assert.doesNotThrow(() => assertTransition(ownHold, "active", owner));
+
+    const adminHold = listing("hold");
+    adminHold.heldBy = admin._id;
+    assert.throws(() => assertTransition(adminHold, "active", owner), statusError(403));
+    assert.doesNotThrow(() => assertTransition(adminHold, "active", admin));
+    assert.ok(!allowedTransitions(adminHold, owner).includes("active"));
+    assert.ok(allowedTransitions(adminHold, owner).includes("archived"));
+
+    // Older holds without heldBy go by the status history
+    const olderHold = listing("hold");
+    olderHold.statusHistory.push({ from: "active", to: "hold", changedBy: admin._id, role: "admin" });
+    assert.throws(() => assertTransition(olderHold, "active", owner), statusError(403));
+  });
+
+  it("requires a reason to reject", () => {
+    assert.throws(() => assertTransition(listing("pending"), "rejected", admin, "  "), statusError(400));
+    assert.doesNotThrow(() => assertTransition(listing("pending"), "rejected", admin, "Blurry photos"));
+  });
+});
+
+describe("transitionProperty", () => {
+  beforeEach(() => {
+    mock.method(Property.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(User, "findById", () => ({ select: async () => null }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("records the move in the status history", async () => {
+    const property = listing("pending");
+    await transitionProperty(property, "rejected", { user: admin, reason: " Blurry photos " });
+
+    const entry = property.statusHistory.at(-1);
+    assert.equal(property.status, "rejected");
+    assert.equal(property.statusReason, "Blurry photos");
+    assert.equal(entry.from, "pending");
+    assert.equal(entry.to, "rejected");
+    assert.equal(entry.role, "admin");
+    assert.equal(entry.changedBy.toString(), admin._id.toString());
+    assert.equal(Property.prototype.save.mock.callCount(), 1);
+  });
+
+  it("queues resubmitted listings for moderation and clears the queue on a decision", async () => {
+    const property = listing("rejected");
+    await transitionProperty(property, "pending", { user: owner });
+    assert.equal(property.moderation.reason, "resubmitted");
+    assert.ok(property.moderation.queuedAt);
+
+    await transitionProperty(property, "active", { user: admin });
+    assert.equal(property.moderation?.queuedAt, undefined);
+    assert.equal(property.approvedBy.toString(), admin._id.toString());
+  });
+
+  it("records who placed a hold and clears it when lifted", async () => {
+    const property = listing("active");
+    await transitionProperty(property, "hold", { user: admin, reason: " Ownership check " });
+    assert.equal(property.heldBy.toString(), admin._id.toString());
+    assert.equal(property.holdReason, "Ownership check");
+
+    await transitionProperty(property, "active", { user: admin });
+    assert.equal(property.heldBy, undefined);
+    assert.equal(property.holdReason, undefined);
+  });
+
+  it("does not save an invalid move", async () => {
+    const property = listing("draft");
+    await assert.rejects(
+      transitionProperty(property, "sold", { user: admin }),
+      statusError(400)
+    );
+    assert.equal(property.status, "draft");
+    assert.equal(Property.prototype.save.mock.callCount(), 0);
+  });
+});
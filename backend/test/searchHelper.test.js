@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Property } from "../models/Property.js";
+import { SearchQuery } from "../models/SearchQuery.js";
+import {
+  DEFAULT_LOAN_TERMS,
+  calculateEMI,
+  calculateMaxPrice,
+  parseLoanTerms,
+  downPaymentFor,
+  estimateEMI,
+  affordablePrice,
+  buildAmortizationSchedule,
+  priceBadgeForListing,
+  getTrendingSearches,
+} from "../utils/searchHelper.js";
+
+describe("calculateEMI", () => {
+  it("matches the standard reducing balance formula", () => {
+    assert.equal(calculateEMI(4000000, 8.5, 20), 34713);
+    assert.equal(calculateEMI(1000000, 12, 1), 88849);
+  });
+
+  it("handles interest free and empty loans", () => {
+    assert.equal(calculateEMI(1200000, 0, 10), 10000);
+    assert.equal(calculateEMI(0, 8.5, 20), 0);
+  });
+
+  it("is undone by calculateMaxPrice", () => {
+    const emi = calculateEMI(4000000, 8.5, 20);
+    const price = calculateMaxPrice(emi, 8.5, 20, 0);
+    assert.ok(Math.abs(price - 4000000) < 100, String(price));
+    assert.equal(calculateMaxPrice(10000, 0, 10, 0), 1200000);
+  });
+});
+
+describe("parseLoanTerms", () => {
+  it("falls back to the defaults", () => {
+    assert.deepEqual(parseLoanTerms({}), { terms: DEFAULT_LOAN_TERMS });
+  });
+
+  it("prefers a fixed down payment over a percentage", () => {
+    const { terms } = parseLoanTerms({
+      rate: "9",
+      tenure: "15",
+      downPayment: "500000",
+      downPaymentPercent: "30",
+    });
+    assert.deepEqual(terms, { rate: 9, tenure: 15, downPayment: 500000 });
+  });
+
+  it("rejects out of range values", () => {
+    assert.match(parseLoanTerms({ rate: "45" }).error, /rate/);
+    assert.match(parseLoanTerms({ tenure: "0" }).error, /tenure/);
+    assert.match(parseLoanTerms({ downPaymentPercent: "abc" }).error, /downPaymentPercent/);
+  });
+});
+
+describe("down payment and affordability", () => {
+  it("caps a fixed down payment at the price", () => {
+    assert.equal(downPaymentFor(300000, { downPayment: 500000 }), 300000);
+    assert.equal(downPaymentFor(5000000, { downPaymentPercent: 20 }), 1000000);
+  });
+
+  it("finances only what the down payment leaves", () => {
+    assert.equal(estimateEMI(5000000), calculateEMI(4000000, 8.5, 20));
+    assert.equal(estimateEMI(500000, { ...DEFAULT_LOAN_TERMS, downPayment: 500000 }), 0);
+  });
+
+  it("round trips between price and EMI", () => {
+    const emi = estimateEMI(5000000);
+    assert.ok(Math.abs(affordablePrice(emi) - 5000000) < 100);
+
+    const terms = { rate: 8.5, tenure: 20, downPayment: 1000000 };
+    assert.ok(Math.abs(affordablePrice(estimateEMI(5000000, terms), terms) - 5000000) < 100);
+  });
+});
+
+describe("buildAmortizationSchedule", () => {
+  const schedule = buildAmortizationSchedule(4000000, 8.5, 20);
+
+  it("repays the principal exactly", () => {
+    const repaid = schedule.monthly.reduce((sum, month) => sum + month.principal, 0);
+    assert.equal(repaid, 4000000);
+    assert.equal(schedule.monthly.length, 240);
+    assert.equal(schedule.monthly.at(-1).balance, 0);
+  });
+
+  it("pays the EMI every month and more principal over time", () => {
+    assert.equal(schedule.emi, 34713);
+    for (const month of schedule.monthly.slice(0, -1)) {
+      assert.equal(month.emi, schedule.emi);
+    }
+    assert.ok(schedule.monthly[100].principal > schedule.monthly[0].principal);
+  });
+
+  it("sums the months into years", () => {
+    assert.equal(schedule.yearly.length, 20);
+    const interest = schedule.monthly.reduce((sum, month) => sum + month.interest, 0);
+    assert.equal(schedule.yearly.reduce((sum, year) => sum + year.interest, 0), interest);
+  });
+});
+
+describe("priceBadgeForListing", () => {
+  const listing = (priceBadgeCache) => ({
+    _id: "listing-1",
+    listingType: "sale",
+    price: 5000000,
+    areaSqft: 1000,
+    location: { city: "Pune" },
+    priceBadgeCache,
+  });
+  const badge = { badge: "fairly_priced", label: "Fairly priced" };
+
+  beforeEach(() => {
+    mock.method(Property, "aggregate", async () => []);
+    mock.method(Property, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("serves a fresh cached badge without valuing the listing again", async () => {
+    const result = await priceBadgeForListing(
+      listing({ badge, askingPrice: 5000000, computedAt: new Date() })
+    );
+
+    assert.deepEqual(result, badge);
+    assert.equal(Property.aggregate.mock.callCount(), 0);
+    assert.equal(Property.updateOne.mock.callCount(), 0);
+  });
+
+  it("values the listing again once the price changed or the cache is old", async () => {
+    const stale = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+    await priceBadgeForListing(listing({ badge, askingPrice: 4500000, computedAt: new Date() }));
+    await priceBadgeForListing(listing({ badge, askingPrice: 5000000, computedAt: stale }));
+    await priceBadgeForListing(listing());
+
+    assert.equal(Property.aggregate.mock.callCount(), 3);
+    const [filter, update] = Property.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "listing-1" });
+    assert.equal(update.$set.priceBadgeCache.askingPrice, 5000000);
+    assert.ok(update.$set.priceBadgeCache.computedAt instanceof Date);
+  });
+
+  it("does not cache a failed valuation", async () => {
+    Property.aggregate.mock.mockImplementation(async () => {
+      throw new Error("no database");
+    });
+
+    assert.equal(await priceBadgeForListing(listing()), null);
+    assert.equal(Property.updateOne.mock.callCount(), 0);
+  });
+});
+
+describe("getTrendingSearches", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("ranks recent searches only", async () => {
+    mock.method(SearchQuery, "aggregate", async () => []);
+
+    await getTrendingSearches(3, 5);
+
+    const [pipeline] = SearchQuery.aggregate.mock.calls[0].arguments;
+    const since = pipeline[0].$match.createdAt.$gte;
+    assert.equal(pipeline[0].$match.source, "search");
+    assert.ok(Math.abs(Date.now() - 3 * 24 * 60 * 60 * 1000 - since) < 1000);
+    assert.deepEqual(pipeline.find((stage) => stage.$limit), { $limit: 5 });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/User.js";
+import { Session } from "../models/Session.js";
+import { hashToken, verifyToken } from "../utils/jwt.js";
+import {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+} from "../utils/session.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const req = {
+  ip: "127.0.0.1",
+  get: (header) => (header === "user-agent" ? "node-test" : undefined),
+};
+
+const user = new User({ name: "Agent", mobile: "+919876543210", role: "agent" });
+
+// In-memory stand-in for the sessions collection
+let sessions;
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, "create", async (doc) => {
+    const session = new Session(doc);
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, "findOne", async (filter) =>
+    sessions.find((session) =>
+      Object.entries(filter).every(([key, value]) => session[key] === value)
+    ) || null
+  );
+  mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session.prototype, "populate", async function () {
+    this.user = user;
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("createSession", () => {
+  it("stores only the hash of the refresh token", async () => {
+    const { refreshToken, session } = await createSession(user, req);
+
+    assert.match(refreshToken, /^[0-9a-f]{80}$/);
+    assert.equal(session.refreshTokenHash, hashToken(refreshToken));
+    assert.ok(!Object.values(session.toObject()).includes(refreshToken));
+    assert.equal(session.userAgent, "node-test");
+    assert.ok(session.expiresAt > new Date());
+  });
+
+  it("binds the access token to the user, role and session", async () => {
+    const { token, session } = await createSession(user, req);
+    const decoded = verifyToken(token);
+
+    assert.equal(decoded.id, user._id.toString());
+    assert.equal(decoded.role, "agent");
+    assert.equal(decoded.sid, session._id.toString());
+  });
+});
+
+describe("rotateSession", () => {
+  it("swaps the refresh token and keeps the session", async () => {
+    const first = await createSession(user, req);
+    const next = await rotateSession(first.refreshToken, req);
+
+    assert.ok(next);
+    assert.notEqual(next.refreshToken, first.refreshToken);
+    assert.equal(next.session._id, first.session._id);
+    assert.equal(next.session.refreshTokenHash, hashToken(next.refreshToken));
+    assert.equal(next.session.previousTokenHash, hashToken(first.refreshToken));
+    assert.equal(verifyToken(next.token).sid, first.session._id.toString());
+  });
+
+  it("revokes the session when a rotated token is reused", async () => {
+    const first = await createSession(user, req);
+    const next = await rotateSession(first.refreshToken, req);
+
+    assert.equal(await rotateSession(first.refreshToken, req), null);
+    assert.ok(first.session.revokedAt);
+    assert.equal(await rotateSession(next.refreshToken, req), null);
+  });
+
+  it("rejects unknown, revoked and expired tokens", async () => {
+    assert.equal(await rotateSession("not-a-token", req), null);
+
+    const revoked = await createSession(user, req);
+    revoked.session.revokedAt = new Date();
+    assert.equal(await rotateSession(revoked.refreshToken, req), null);
+
+    const expired = await createSession(user, req);
+    expired.session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await rotateSession(expired.refreshToken, req), null);
+  });
+});
+
+describe("revokeUserSessions", () => {
+  it("revokes the user's active sessions except the one kept", async () => {
+    const updateMany = mock.method(Session, "updateMany", async () => ({
+      modifiedCount: 2,
+    }));
+    const keep = new Session()._id;
+
+    await revokeUserSessions(user._id, keep);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      user: user._id,
+      revokedAt: null,
+      _id: { $ne: keep },
+    });
+    assert.ok(update.revokedAt instanceof Date);
+  });
+});
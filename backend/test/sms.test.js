@@ -0,0 +1,106 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { SmsMessage } from "../models/SmsMessage.js";
+import { assertSmsConfigured, sendOtp } from "../utils/sms.js";
+
+const SMS_SETTINGS = [
+  "NODE_ENV",
+  "SMS_PROVIDER",
+  "SMS_WEBHOOK_URL",
+  "TWILIO_ACCOUNT_SID",
+  "TWILIO_AUTH_TOKEN",
+  "TWILIO_PHONE_NUMBER",
+];
+
+describe("assertSmsConfigured", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(SMS_SETTINGS.map((key) => [key, process.env[key]]));
+    SMS_SETTINGS.forEach((key) => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("defaults to the console outbox outside production", () => {
+    assert.equal(assertSmsConfigured(), "console");
+
+    process.env.NODE_ENV = "development";
+    assert.equal(assertSmsConfigured(), "console");
+  });
+
+  it("requires an explicit provider in production", () => {
+    process.env.NODE_ENV = "production";
+    assert.throws(assertSmsConfigured, /SMS_PROVIDER is not set/);
+
+    process.env.SMS_PROVIDER = "console";
+    assert.equal(assertSmsConfigured(), "console");
+  });
+
+  it("rejects unknown providers", () => {
+    process.env.SMS_PROVIDER = "carrier-pigeon";
+    assert.throws(assertSmsConfigured, /Unknown SMS provider/);
+  });
+
+  it("requires the provider's settings", () => {
+    process.env.SMS_PROVIDER = "twilio";
+    process.env.TWILIO_ACCOUNT_SID = "AC123";
+    assert.throws(assertSmsConfigured, /TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER/);
+
+    process.env.TWILIO_AUTH_TOKEN = "secret";
+    process.env.TWILIO_PHONE_NUMBER = "+15550000000";
+    assert.equal(assertSmsConfigured(), "twilio");
+
+    process.env.SMS_PROVIDER = "webhook";
+    assert.throws(assertSmsConfigured, /SMS_WEBHOOK_URL/);
+  });
+});
+
+describe("sendOtp", () => {
+  let outboxDir;
+  let saved;
+
+  before(async () => {
+    saved = { SMS_PROVIDER: process.env.SMS_PROVIDER, OUTBOX_DIR: process.env.OUTBOX_DIR };
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "sms-outbox-"));
+    process.env.SMS_PROVIDER = "console";
+    process.env.OUTBOX_DIR = outboxDir;
+  });
+
+  after(async () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(SmsMessage, "create", async (doc) => new SmsMessage(doc));
+    mock.method(SmsMessage.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("sends the code but keeps it out of the SMS log", async () => {
+    const record = await sendOtp("9876543210", "482913", "login");
+
+    assert.equal(record.status, "delivered");
+    assert.equal(record.purpose, "login");
+    assert.doesNotMatch(record.body, /\d/);
+
+    const outbox = await fs.readFile(path.join(outboxDir, "sms.jsonl"), "utf8");
+    assert.match(outbox, /482913/);
+  });
+});
@@ -1,11 +1,21 @@
 // utils/advancedApiFeatures.js - FIXED VERSION
+import { PROPERTY_RENTAL_LISTING_TYPES as RENTAL_LISTING_TYPES } from "../models/Property.js";
+import {
+  DEFAULT_LOAN_TERMS,
+  affordablePrice,
+  parseLoanTerms,
+} from "./searchHelper.js";
+import { searchAreaFrom } from "./geoArea.js";
+
 export class AdvancedApiFeatures {
   constructor(query, queryString) {
     this.query = query;
+    this.model = query.model;
     this.queryString = queryString || {};
     this.page = parseInt(queryString.page) || 1;
     this.limit = parseInt(queryString.limit) || 20;
     this.isAggregated = false;
+    this.isGeoNear = false;
     this.aggregationPipeline = [];
   }
 
@@ -18,11 +28,14 @@ export class AdvancedApiFeatures {
       // Convert to aggregation pipeline
       this.convertToAggregation();
       
+      // $text cannot be combined with $geoNear, the regexes still match
+      const useTextIndex = !this.geoCenter();
+
       // Add search match stage
       this.aggregationPipeline.push({
         $match: {
           $or: [
-            { $text: { $search: searchTerm } },
+            ...(useTextIndex ? [{ $text: { $search: searchTerm } }] : []),
             { title: { $regex: searchTerm, $options: "i" } },
             { description: { $regex: searchTerm, $options: "i" } },
             { "location.city": { $regex: searchTerm, $options: "i" } },
@@ -37,7 +50,9 @@ export class AdvancedApiFeatures {
         $addFields: {
           score: {
             $add: [
-              { $multiply: [{ $ifNull: [{ $meta: "textScore" }, 0] }, 1] },
+              ...(useTextIndex
+                ? [{ $multiply: [{ $ifNull: [{ $meta: "textScore" }, 0] }, 1] }]
+                : []),
               {
                 $cond: [
                   {
@@ -105,9 +120,20 @@ export class AdvancedApiFeatures {
 
   // Advanced price filtering
   priceFilter() {
-    const { minPrice, maxPrice, priceRange, budget } = this.queryString;
+    const { minPrice, maxPrice, priceRange, budget, emi, listingType } = this.queryString;
+
+    // Listing intent: sale, rent, lease or pg (comma separated)
+    const intents = listingType ? listingType.split(",") : [];
+    if (intents.length) {
+      this.addFilter({ listingType: { $in: intents } });
+    }
 
-    if (minPrice || maxPrice || priceRange || budget) {
+    // Rentals are compared on their rent per month
+    const isRental =
+      intents.length > 0 && intents.every((intent) => RENTAL_LISTING_TYPES.includes(intent));
+    const priceField = isRental ? "monthlyRent" : "price";
+
+    if (minPrice || maxPrice || priceRange || budget || emi) {
       const priceQuery = {};
 
       if (minPrice) priceQuery.$gte = parseInt(minPrice);
@@ -115,24 +141,43 @@ export class AdvancedApiFeatures {
 
       // Predefined price ranges
       if (priceRange) {
-        const ranges = {
-          1: { $gte: 0, $lte: 2500000 },
-          2: { $gte: 2500000, $lte: 5000000 },
-          3: { $gte: 5000000, $lte: 10000000 },
-          4: { $gte: 10000000, $lte: 20000000 },
-          5: { $gte: 20000000 },
-        };
+        const ranges = isRental
+          ? {
+              1: { $gte: 0, $lte: 10000 },
+              2: { $gte: 10000, $lte: 20000 },
+              3: { $gte: 20000, $lte: 35000 },
+              4: { $gte: 35000, $lte: 50000 },
+              5: { $gte: 50000 },
+            }
+          : {
+              1: { $gte: 0, $lte: 2500000 },
+              2: { $gte: 2500000, $lte: 5000000 },
+              3: { $gte: 5000000, $lte: 10000000 },
+              4: { $gte: 10000000, $lte: 20000000 },
+              5: { $gte: 20000000 },
+            };
         Object.assign(priceQuery, ranges[priceRange]);
       }
 
-      // Budget calculation
+      // Budget calculation (monthly income): a rent of up to 30% of it,
+      // or a home loan of 20 years at 12x income with 20% down payment
       if (budget) {
-        const maxPrice = (parseInt(budget) * 12 * 20) / 0.8;
+        const maxPrice = isRental
+          ? parseInt(budget) * 0.3
+          : (parseInt(budget) * 12 * 20) / 0.8;
         priceQuery.$lte = maxPrice;
       }
 
+      // Affordability ("I can pay ₹X/month"): the most that EMI can buy with
+      // the given rate, tenure and down payment
+      if (emi && !isRental) {
+        const { terms = DEFAULT_LOAN_TERMS } = parseLoanTerms(this.queryString);
+        const maxAffordable = affordablePrice(parseFloat(emi), terms);
+        priceQuery.$lte = Math.min(priceQuery.$lte ?? Infinity, maxAffordable);
+      }
+
       if (Object.keys(priceQuery).length > 0) {
-        this.addFilter({ price: priceQuery });
+        this.addFilter({ [priceField]: priceQuery });
       }
     }
     return this;
@@ -151,6 +196,12 @@ export class AdvancedApiFeatures {
       age,
       facing,
       amenities,
+      priceDropped,
+      priceDroppedDays,
+      tenantPreference,
+      petsAllowed,
+      maxDepositMonths,
+      maxLockIn,
     } = this.queryString;
 
     const filters = {};
@@ -204,32 +255,51 @@ export class AdvancedApiFeatures {
       filters.amenities = { $all: amenityList };
     }
 
+    // Rental-only filters
+    if (tenantPreference) {
+      filters["rentDetails.tenantPreference"] = {
+        $in: [...tenantPreference.split(","), "any"],
+      };
+    }
+    if (petsAllowed === "true") filters["rentDetails.petsAllowed"] = true;
+    if (maxDepositMonths) {
+      filters["rentDetails.depositMonths"] = { $lte: parseInt(maxDepositMonths) };
+    }
+    if (maxLockIn) {
+      filters["rentDetails.lockInMonths"] = { $lte: parseInt(maxLockIn) };
+    }
+
+    // Listings currently below their previous price (optionally dropped recently)
+    if (priceDropped === "true") {
+      filters.priceDropPercent = { $gt: 0 };
+      if (priceDroppedDays) {
+        filters.lastPriceDropAt = {
+          $gte: new Date(Date.now() - parseInt(priceDroppedDays) * 24 * 60 * 60 * 1000),
+        };
+      }
+    }
+
     if (Object.keys(filters).length > 0) {
       this.addFilter(filters);
     }
     return this;
   }
 
+  // Center ([lng, lat]) and radius in km of a circle search, or null
+  geoCenter() {
+    const { lat, lng, radius } = this.queryString;
+    if (!lat || !lng || !radius) return null;
+
+    const coordinates = [parseFloat(lng), parseFloat(lat)];
+    const radiusKm = parseFloat(radius);
+    if (coordinates.some(Number.isNaN) || !(radiusKm > 0)) return null;
+
+    return { coordinates, radiusKm };
+  }
+
   // Geospatial search
   geoSearch() {
-    const { lat, lng, radius, metro, landmark } = this.queryString;
-
-    if (lat && lng && radius) {
-      const radiusInKm = parseFloat(radius);
-      const radiusInRadians = radiusInKm / 6378.1;
-
-      const geoFilter = {
-        "location.coordinates": {
-          $geoWithin: {
-            $centerSphere: [
-              [parseFloat(lng), parseFloat(lat)],
-              radiusInRadians,
-            ],
-          },
-        },
-      };
-      this.addFilter(geoFilter);
-    }
+    const { metro, landmark } = this.queryString;
 
     if (metro) {
       const metroFilter = {
@@ -247,6 +317,49 @@ export class AdvancedApiFeatures {
       this.addFilter(landmarkFilter);
     }
 
+    // Map viewport (bbox) or drawn area (polygon); invalid areas are
+    // rejected by the controllers before they get here
+    const { geometry } = searchAreaFrom(this.queryString);
+    if (geometry) {
+      this.addFilter({
+        "location.coordinates": { $geoWithin: { $geometry: geometry } },
+      });
+    }
+
+    // Circle search: $geoNear returns matches nearest first with the
+    // distance computed by the server. It must open the pipeline, so every
+    // filter applied so far becomes its query.
+    const center = this.geoCenter();
+    if (center) {
+      this.convertToAggregation();
+
+      const filters = this.aggregationPipeline
+        .filter((stage) => stage.$match)
+        .map((stage) => stage.$match);
+      const otherStages = this.aggregationPipeline.filter((stage) => !stage.$match);
+
+      this.aggregationPipeline = [
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: center.coordinates },
+            key: "location.coordinates",
+            distanceField: "distanceMeters",
+            maxDistance: center.radiusKm * 1000,
+            query: filters.length > 1 ? { $and: filters } : filters[0] || {},
+            spherical: true,
+          },
+        },
+        // Distance in km for API consumers
+        {
+          $addFields: {
+            distance: { $round: [{ $divide: ["$distanceMeters", 1000] }, 2] },
+          },
+        },
+        ...otherStages,
+      ];
+      this.isGeoNear = true;
+    }
+
     return this;
   }
 
@@ -263,16 +376,22 @@ export class AdvancedApiFeatures {
       oldest: { createdAt: 1 },
       relevance: { score: -1, createdAt: -1 },
       popular: { viewCount: -1, createdAt: -1 },
+      price_drop: { priceDropPercent: -1, lastPriceDropAt: -1 },
+      distance: { distanceMeters: 1, _id: 1 }, // only with lat/lng/radius
     };
 
     let sortCriteria = { createdAt: -1 }; // default
 
-    if (sortBy && sortOptions[sortBy]) {
+    if (sortBy && sortOptions[sortBy] && (sortBy !== "distance" || this.isGeoNear)) {
       sortCriteria = sortOptions[sortBy];
     }
 
-    // If we have a search score, prioritize it
-    if (this.isAggregated && this.aggregationPipeline.some(stage => stage.$addFields && stage.$addFields.score)) {
+    // If we have a search score, prioritize it (unless sorting by distance)
+    if (
+      this.isAggregated &&
+      sortCriteria !== sortOptions.distance &&
+      this.aggregationPipeline.some(stage => stage.$addFields && stage.$addFields.score)
+    ) {
       sortCriteria = { score: -1, ...sortCriteria };
     }
 
@@ -319,7 +438,7 @@ export class AdvancedApiFeatures {
       }
       
       // Convert to aggregation
-      this.query = this.query.model.aggregate([]);
+      this.query = this.model.aggregate([]);
     }
   }
 
@@ -334,11 +453,36 @@ export class AdvancedApiFeatures {
       .advancedPaginate();
   }
 
+  // Same filters and sort as applyFilters, without pagination (exports)
+  applyFiltersUnpaginated() {
+    return this.advancedSearch()
+      .locationSearch()
+      .priceFilter()
+      .propertyFilters()
+      .geoSearch()
+      .advancedSort();
+  }
+
+  // Stream the matching documents (lean) instead of loading them all
+  cursor({ select, limit } = {}) {
+    if (this.isAggregated) {
+      const pipeline = [...this.aggregationPipeline];
+      if (limit) pipeline.push({ $limit: limit });
+      if (select) pipeline.push({ $project: select });
+      return this.model.aggregate(pipeline).cursor();
+    }
+
+    let query = this.query;
+    if (limit) query = query.limit(limit);
+    if (select) query = query.select(select);
+    return query.lean().cursor();
+  }
+
   // Get the final query
   getQuery() {
     if (this.isAggregated) {
       // Rebuild the aggregation with all pipeline stages
-      this.query = this.query.model.aggregate(this.aggregationPipeline);
+      this.query = this.model.aggregate(this.aggregationPipeline);
       return this.query;
     }
     return this.query;
@@ -349,11 +493,43 @@ export class AdvancedApiFeatures {
     return this.aggregationPipeline;
   }
 
+  // Run the query as lean documents; populate takes Model.populate options
+  async results({ select, populate = [] } = {}) {
+    if (this.isAggregated) {
+      const pipeline = select
+        ? [...this.aggregationPipeline, { $project: select }]
+        : this.aggregationPipeline;
+      const docs = await this.model.aggregate(pipeline);
+      return populate.length ? this.model.populate(docs, populate) : docs;
+    }
+
+    let query = select ? this.query.select(select) : this.query;
+    populate.forEach((options) => {
+      query = query.populate(options);
+    });
+    return query.lean();
+  }
+
   // Execute the query
   async execute() {
     if (this.isAggregated) {
-      return await this.query.model.aggregate(this.aggregationPipeline);
+      return await this.model.aggregate(this.aggregationPipeline);
     }
     return await this.query.exec();
   }
+
+  // Count matching documents, ignoring sort and pagination
+  async count() {
+    if (this.isAggregated) {
+      const pipeline = this.aggregationPipeline.filter(
+        (stage) => !("$skip" in stage || "$limit" in stage || "$sort" in stage)
+      );
+      const result = await this.model.aggregate([
+        ...pipeline,
+        { $count: "total" },
+      ]);
+      return result[0]?.total || 0;
+    }
+    return await this.model.countDocuments(this.query.getQuery());
+  }
 }
\ No newline at end of file
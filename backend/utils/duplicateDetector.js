@@ -0,0 +1,211 @@
+import { Property, addressKeyFor } from "../models/Property.js";
+import { fingerprintDistance } from "./imageProcessor.js";
+
+/**
+ * Confidence levels: same-owner re-posts above `block` are refused,
+ * anything above `queue` goes to moderation, above `warn` is reported
+ * back to the lister.
+ */
+export const DUPLICATE_THRESHOLDS = {
+  block: 0.85,
+  queue: 0.6,
+  warn: 0.4,
+};
+
+const NEARBY_METERS = 150;
+const SAME_SPOT_METERS = 30;
+const MAX_FINGERPRINT_DISTANCE = 6;
+const LIVE_STATUSES = ["pending", "approved", "active", "hold", "expired"];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const isClose = (a, b, tolerance) =>
+  a > 0 && b > 0 && Math.abs(a - b) / Math.max(a, b) <= tolerance;
+
+const fingerprintsOf = (listing) =>
+  (listing.images || []).map((image) => image.fingerprint).filter(Boolean);
+
+/**
+ * How likely `candidate` is the same property as `listing` (0..1)
+ */
+export const scoreDuplicate = (listing, candidate) => {
+  const signals = [];
+  let score = 0;
+
+  const a = listing.location?.coordinates?.coordinates;
+  const b = candidate.location?.coordinates?.coordinates;
+  if (a?.length === 2 && b?.length === 2) {
+    const meters = distanceMeters(a, b);
+    if (meters <= SAME_SPOT_METERS) {
+      score += 0.3;
+      signals.push("same_coordinates");
+    } else if (meters <= NEARBY_METERS) {
+      score += 0.15;
+      signals.push("nearby");
+    }
+  }
+
+  const addressKey = addressKeyFor(listing.location);
+  if (addressKey && addressKey === (candidate.location?.addressKey || addressKeyFor(candidate.location))) {
+    score += 0.25;
+    signals.push("same_address");
+  }
+
+  if (
+    listing.bedrooms === candidate.bedrooms &&
+    listing.bathrooms === candidate.bathrooms
+  ) {
+    score += 0.1;
+    signals.push("same_rooms");
+  }
+
+  if (isClose(listing.areaSqft, candidate.areaSqft, 0.03)) {
+    score += 0.15;
+    signals.push("same_area");
+  }
+
+  if (isClose(listing.price, candidate.price, 0.1)) {
+    score += 0.1;
+    signals.push("similar_price");
+  }
+
+  const theirs = fingerprintsOf(candidate);
+  const samePhotos = fingerprintsOf(listing).some((mine) =>
+    theirs.some((other) => fingerprintDistance(mine, other) <= MAX_FINGERPRINT_DISTANCE)
+  );
+  if (samePhotos) {
+    score += 0.35;
+    signals.push("same_photos");
+  }
+
+  if (idOf(listing.createdBy) && idOf(listing.createdBy) === idOf(candidate.createdBy)) {
+    score += 0.1;
+    signals.push("same_owner");
+  }
+
+  // The same flat can legitimately be listed for sale and for rent
+  if ((listing.listingType || "sale") !== (candidate.listingType || "sale")) {
+    score -= 0.3;
+  }
+
+  return {
+    score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)),
+    signals,
+  };
+};
+
+/**
+ * Live listings that look like `listing`, best match first
+ */
+export const findDuplicates = async (listing, { ignore = [] } = {}) => {
+  const coordinates = listing.location?.coordinates?.coordinates;
+  const addressKey = addressKeyFor(listing.location);
+  const fingerprints = fingerprintsOf(listing);
+
+  const or = [];
+  if (coordinates?.length === 2) {
+    or.push({
+      "location.coordinates": {
+        $geoWithin: { $centerSphere: [coordinates, NEARBY_METERS / 6378100] },
+      },
+    });
+  }
+  if (addressKey) or.push({ "location.addressKey": addressKey });
+  if (fingerprints.length) or.push({ "images.fingerprint": { $in: fingerprints } });
+  if (or.length === 0) return [];
+
+  const excluded = [listing._id, ...ignore].filter(Boolean);
+
+  const candidates = await Property.find({
+    ...(excluded.length && { _id: { $nin: excluded } }),
+    status: { $in: LIVE_STATUSES },
+    propertyType: listing.propertyType,
+    $or: or,
+  })
+    .select("title price bedrooms bathrooms areaSqft listingType location images.fingerprint createdBy status")
+    .limit(50)
+    .lean();
+
+  return candidates
+    .map((candidate) => ({ property: candidate, ...scoreDuplicate(listing, candidate) }))
+    .filter((match) => match.score >= DUPLICATE_THRESHOLDS.warn)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, 5);
+};
+
+/**
+ * Run the check and decide: "block", "queue", "warn" or "clear"
+ */
+export const checkForDuplicates = async (listing) => {
+  // Candidates an admin already dismissed for this listing are not re-flagged
+  const ignore =
+    listing.duplicateCheck?.status === "dismissed"
+      ? listing.duplicateCheck.candidates.map((candidate) => candidate.property)
+      : [];
+
+  const matches = await findDuplicates(listing, { ignore });
+  const top = matches[0];
+
+  let action = "clear";
+  if (top?.score >= DUPLICATE_THRESHOLDS.block && top.signals.includes("same_owner")) {
+    action = "block";
+  } else if (top?.score >= DUPLICATE_THRESHOLDS.queue) {
+    action = "queue";
+  } else if (top) {
+    action = "warn";
+  }
+
+  const duplicateCheck =
+    action === "clear" && ignore.length
+      ? listing.duplicateCheck
+      : {
+          status: action === "queue" ? "queued" : action === "warn" ? "warned" : "clear",
+          candidates: matches.map(({ property, score, signals }) => ({
+            property: property._id,
+            score,
+            signals,
+          })),
+          checkedAt: new Date(),
+        };
+
+  return { action, matches, duplicateCheck };
+};
+
+// Short description of the matches for API responses
+export const duplicateWarnings = (matches) =>
+  matches.map(({ property, score, signals }) => ({
+    propertyId: property._id,
+    title: property.title,
+    status: property.status,
+    score,
+    signals,
+  }));
+
+/**
+ * Store the outcome of a check on an existing listing and put likely
+ * duplicates in the moderation queue
+ */
+export const recordDuplicateCheck = async (property, result) => {
+  const { action, duplicateCheck } = result || (await checkForDuplicates(property));
+
+  await Property.updateOne({ _id: property._id }, { $set: { duplicateCheck } });
+
+  if (action === "queue") {
+    await Property.updateOne(
+      { _id: property._id, "moderation.queuedAt": null },
+      { $set: { moderation: { queuedAt: new Date(), reason: "duplicate" } } }
+    );
+  }
+
+  return action;
+};
@@ -0,0 +1,239 @@
+/**
+ * Transactional email templates.
+ * Placeholders: {{name}} is HTML-escaped in the html variant, {{{name}}}
+ * is inserted raw (for pre-rendered blocks such as listing tables).
+ * Subjects are localized per language, bodies fall back to English.
+ */
+export const SUPPORTED_LOCALES = ["en", "hi"];
+
+const layout = (content) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
+    ${content}
+    <hr />
+    <p style="color: #888; font-size: 12px;">Housing Yard</p>
+  </div>
+`;
+
+export const templates = {
+  passwordReset: {
+    subject: {
+      en: "Password Reset Request",
+      hi: "पासवर्ड रीसेट अनुरोध",
+    },
+    text: `Hi {{name}},
+
+You requested a password reset. Reset your password here (valid for {{expiresIn}}):
+{{resetUrl}}
+
+If you did not request this, you can ignore this email.`,
+    html: layout(`
+    <h3>Password Reset Request</h3>
+    <p>Hi {{name}}, you requested a password reset.</p>
+    <p>Click the link below to reset your password (valid for {{expiresIn}}):</p>
+    <a href="{{resetUrl}}" target="_blank">{{resetUrl}}</a>
+    <p>If you did not request this, you can ignore this email.</p>`),
+  },
+
+  welcome: {
+    subject: {
+      en: "Welcome to Housing Yard",
+      hi: "Housing Yard में आपका स्वागत है",
+    },
+    text: `Hi {{name}},
+
+Your account is ready. Start exploring properties at {{clientUrl}}.`,
+    html: layout(`
+    <h3>Welcome, {{name}}!</h3>
+    <p>Your account is ready.</p>
+    <p><a href="{{clientUrl}}" target="_blank">Start exploring properties</a></p>`),
+  },
+
+  listingApproved: {
+    subject: {
+      en: "Your listing is live: {{title}}",
+      hi: "आपकी लिस्टिंग लाइव है: {{title}}",
+    },
+    text: `Hi {{name}},
+
+Your listing "{{title}}" has been approved and is now visible to buyers.
+{{propertyUrl}}`,
+    html: layout(`
+    <h3>Your listing is live</h3>
+    <p>Hi {{name}}, your listing <strong>{{title}}</strong> has been approved and is now visible to buyers.</p>
+    <p><a href="{{propertyUrl}}" target="_blank">View listing</a></p>`),
+  },
+
+  listingRejected: {
+    subject: {
+      en: "Your listing needs changes: {{title}}",
+      hi: "आपकी लिस्टिंग में बदलाव आवश्यक है: {{title}}",
+    },
+    text: `Hi {{name}},
+
+Your listing "{{title}}" was not approved.
+Reason: {{reason}}
+
+Please update the listing and submit it again.`,
+    html: layout(`
+    <h3>Your listing needs changes</h3>
+    <p>Hi {{name}}, your listing <strong>{{title}}</strong> was not approved.</p>
+    <p><strong>Reason:</strong> {{reason}}</p>
+    <p>Please update the listing and submit it again.</p>`),
+  },
+
+  listingOnHold: {
+    subject: {
+      en: "Your listing is on hold: {{title}}",
+      hi: "आपकी लिस्टिंग रोकी गई है: {{title}}",
+    },
+    text: `Hi {{name}},
+
+Your listing "{{title}}" has been put on hold and is not visible to buyers.
+Reason: {{reason}}`,
+    html: layout(`
+    <h3>Your listing is on hold</h3>
+    <p>Hi {{name}}, your listing <strong>{{title}}</strong> has been put on hold and is not visible to buyers.</p>
+    <p><strong>Reason:</strong> {{reason}}</p>`),
+  },
+
+  listingExpiring: {
+    subject: {
+      en: "Your listing expires in {{days}} days: {{title}}",
+      hi: "आपकी लिस्टिंग {{days}} दिनों में समाप्त होगी: {{title}}",
+    },
+    text: `Hi {{name}},
+
+Your listing "{{title}}" has not been updated for a while and will expire on {{expiresOn}}.
+Renew it with one click to keep it visible to buyers:
+{{renewUrl}}`,
+    html: layout(`
+    <h3>Your listing is about to expire</h3>
+    <p>Hi {{name}}, your listing <strong>{{title}}</strong> has not been updated for a while and will expire on {{expiresOn}}.</p>
+    <p><a href="{{renewUrl}}" target="_blank">Renew listing</a></p>`),
+  },
+
+  listingExpired: {
+    subject: {
+      en: "Your listing has expired: {{title}}",
+      hi: "आपकी लिस्टिंग समाप्त हो गई है: {{title}}",
+    },
+    text: `Hi {{name}},
+
+Your listing "{{title}}" has expired and is no longer visible to buyers.
+{{reason}}
+
+Renew it to publish it again: {{renewUrl}}`,
+    html: layout(`
+    <h3>Your listing has expired</h3>
+    <p>Hi {{name}}, your listing <strong>{{title}}</strong> has expired and is no longer visible to buyers.</p>
+    <p>{{reason}}</p>
+    <p><a href="{{renewUrl}}" target="_blank">Renew listing</a></p>`),
+  },
+
+  savedSearchAlert: {
+    subject: {
+      en: "{{count}} new matches for \"{{searchName}}\"",
+      hi: "\"{{searchName}}\" के लिए {{count}} नए परिणाम",
+    },
+    text: `Hi {{name}},
+
+We found {{count}} new properties matching your saved search "{{searchName}}":
+
+{{listingsText}}
+
+See all results: {{searchUrl}}
+Unsubscribe from these alerts: {{unsubscribeUrl}}`,
+    html: layout(`
+    <h3>{{count}} new matches for "{{searchName}}"</h3>
+    <p>Hi {{name}}, here are the latest properties matching your saved search.</p>
+    {{{listingsHtml}}}
+    <p><a href="{{searchUrl}}" target="_blank">See all results</a></p>
+    <p style="font-size: 12px;"><a href="{{unsubscribeUrl}}" target="_blank">Unsubscribe from these alerts</a></p>`),
+  },
+
+  priceDrop: {
+    subject: {
+      en: "Price drop: {{title}} is now {{newPrice}}",
+      hi: "कीमत में गिरावट: {{title}} अब {{newPrice}}",
+    },
+    text: `Hi {{name}},
+
+Good news! A property in your favorites just got cheaper.
+{{title}}: {{oldPrice}} → {{newPrice}} ({{dropPercent}}% lower)
+{{propertyUrl}}`,
+    html: layout(`
+    <h3>Price drop on a favorite</h3>
+    <p>Hi {{name}}, <strong>{{title}}</strong> just got cheaper.</p>
+    <p><s>{{oldPrice}}</s> <strong>{{newPrice}}</strong> ({{dropPercent}}% lower)</p>
+    <p><a href="{{propertyUrl}}" target="_blank">View listing</a></p>`),
+  },
+
+  newInquiry: {
+    subject: {
+      en: "New inquiry for {{title}}",
+      hi: "{{title}} के लिए नई पूछताछ",
+    },
+    text: `Hi {{name}},
+
+{{buyerName}} ({{buyerPhone}}) is interested in "{{title}}".
+Message: {{message}}
+Preferred contact time: {{contactTime}}
+Site visit: {{visit}}
+
+Manage your leads: {{inboxUrl}}`,
+    html: layout(`
+    <h3>New inquiry for {{title}}</h3>
+    <p>Hi {{name}}, <strong>{{buyerName}}</strong> ({{buyerPhone}}) is interested in your listing.</p>
+    <p><strong>Message:</strong> {{message}}</p>
+    <p><strong>Preferred contact time:</strong> {{contactTime}}</p>
+    <p><strong>Site visit:</strong> {{visit}}</p>
+    <p><a href="{{inboxUrl}}" target="_blank">Manage your leads</a></p>`),
+  },
+
+  reportResolved: {
+    subject: {
+      en: "Your report has been resolved",
+      hi: "आपकी शिकायत का समाधान हो गया है",
+    },
+    text: `Hi {{name}},
+
+Your report "{{reason}}" has been reviewed and resolved.
+{{response}}`,
+    html: layout(`
+    <h3>Your report has been resolved</h3>
+    <p>Hi {{name}}, your report <em>{{reason}}</em> has been reviewed and resolved.</p>
+    <p>{{response}}</p>`),
+  },
+};
+
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const interpolate = (template, vars = {}, { html = false } = {}) =>
+  template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => vars[key] ?? "")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+      const value = vars[key] ?? "";
+      return html ? escapeHtml(value) : String(value);
+    });
+
+/**
+ * Render a template into { subject, text, html }
+ */
+export const renderTemplate = (name, vars = {}, locale = "en") => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const subject = template.subject[locale] || template.subject.en;
+
+  return {
+    subject: interpolate(subject, vars),
+    text: interpolate(template.text, vars),
+    html: interpolate(template.html, vars, { html: true }),
+  };
+};
@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import { PropertyEvent } from "../models/PropertyEvent.js";
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Anonymous but stable viewer identity: never stores raw ids or IPs
+ */
+export const viewerHash = (req) => {
+  const identity = req.user?._id
+    ? `user:${req.user._id}`
+    : `guest:${req.ip}|${req.get("user-agent") || ""}`;
+
+  return crypto
+    .createHmac("sha256", process.env.ANALYTICS_SALT || process.env.JWT_SECRET || "")
+    .update(identity)
+    .digest("hex");
+};
+
+/**
+ * Record an event for one property. Returns true only the first time this
+ * viewer triggers the event on that day (deduplicated via unique index).
+ */
+export const trackPropertyEvent = async (req, propertyId, type) => {
+  const now = new Date();
+
+  try {
+    const result = await PropertyEvent.updateOne(
+      {
+        property: propertyId,
+        type,
+        viewerHash: viewerHash(req),
+        day: dayKey(now),
+      },
+      {
+        $setOnInsert: {
+          isAuthenticated: Boolean(req.user),
+          occurredAt: now,
+        },
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Concurrent upserts of the same key: the other one won
+    if (error.code === 11000) return false;
+    console.error(`Property event (${type}) error:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Record a search impression for every property in a result page
+ */
+export const trackSearchImpressions = async (req, propertyIds) => {
+  if (propertyIds.length === 0) return;
+
+  const now = new Date();
+  const hash = viewerHash(req);
+  const day = dayKey(now);
+
+  try {
+    await PropertyEvent.bulkWrite(
+      propertyIds.map((propertyId) => ({
+        updateOne: {
+          filter: { property: propertyId, type: "search_impression", viewerHash: hash, day },
+          update: {
+            $setOnInsert: { isAuthenticated: Boolean(req.user), occurredAt: now },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error("Search impression tracking error:", error.message);
+    }
+  }
+};
+
+/**
+ * Daily time series and unique visitors for one property since `startDate`
+ */
+export const getPropertyEventStats = async (propertyId, startDate) => {
+  const [result] = await PropertyEvent.aggregate([
+    { $match: { property: propertyId, occurredAt: { $gte: startDate } } },
+    {
+      $facet: {
+        byType: [{ $group: { _id: "$type", count: { $sum: 1 } } }],
+        uniqueVisitors: [
+          { $match: { type: "view" } },
+          { $group: { _id: "$viewerHash" } },
+          { $count: "count" },
+        ],
+        daily: [
+          {
+            $group: {
+              _id: { day: "$day", type: "$type" },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totals = Object.fromEntries(
+    result.byType.map((entry) => [entry._id, entry.count])
+  );
+
+  // Fill every day of the window so charts have no gaps
+  const days = {};
+  for (
+    let date = new Date(startDate);
+    date <= new Date();
+    date.setUTCDate(date.getUTCDate() + 1)
+  ) {
+    days[dayKey(date)] = {
+      date: dayKey(date),
+      views: 0,
+      searchImpressions: 0,
+      contactReveals: 0,
+      shares: 0,
+      favorites: 0,
+    };
+  }
+
+  const seriesKey = {
+    view: "views",
+    search_impression: "searchImpressions",
+    contact_reveal: "contactReveals",
+    share: "shares",
+    favorite: "favorites",
+  };
+
+  result.daily.forEach(({ _id, count }) => {
+    if (days[_id.day]) days[_id.day][seriesKey[_id.type]] = count;
+  });
+
+  return {
+    totals,
+    uniqueVisitors: result.uniqueVisitors[0]?.count || 0,
+    timeSeries: Object.values(days),
+  };
+};
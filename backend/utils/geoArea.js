@@ -0,0 +1,150 @@
+// Map search areas: viewport bounding boxes and hand-drawn polygons
+
+export const MAX_POLYGON_VERTICES = Number(process.env.MAX_POLYGON_VERTICES) || 100;
+export const MAX_SEARCH_AREA_KM2 = Number(process.env.MAX_SEARCH_AREA_KM2) || 5000;
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (value) => (value * Math.PI) / 180;
+
+const isPosition = (point) =>
+  Array.isArray(point) &&
+  point.length >= 2 &&
+  Number.isFinite(point[0]) &&
+  Number.isFinite(point[1]) &&
+  Math.abs(point[0]) <= 180 &&
+  Math.abs(point[1]) <= 90;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Approximate area of a closed ring on the sphere, in km²
+export const ringAreaKm2 = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+};
+
+const orientation = (a, b, c) =>
+  Math.sign((b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]));
+
+const segmentsCross = (p1, p2, q1, q2) =>
+  orientation(p1, p2, q1) * orientation(p1, p2, q2) < 0 &&
+  orientation(q1, q2, p1) * orientation(q1, q2, p2) < 0;
+
+// MongoDB rejects self-intersecting loops; catch them before querying
+const selfIntersects = (ring) => {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i += 1) {
+    for (let j = i + 2; j < edges; j += 1) {
+      if (i === 0 && j === edges - 1) continue; // first and last edge share a vertex
+      if (segmentsCross(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+    }
+  }
+  return false;
+};
+
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Validate a drawn area: a GeoJSON Polygon (object or JSON string) or a
+ * bare ring of [lng, lat] pairs. The ring is closed if needed.
+ * Returns { geometry } or { error }.
+ */
+export const parsePolygon = (value, { maxAreaKm2 = MAX_SEARCH_AREA_KM2 } = {}) => {
+  const input = parseJson(value);
+  const rings = input?.type === "Polygon" ? input.coordinates : [input];
+
+  if (!Array.isArray(rings) || !Array.isArray(rings[0])) {
+    return { error: "polygon must be a GeoJSON Polygon or a list of [lng, lat] points" };
+  }
+  if (rings.length > 1) {
+    return { error: "polygon must be a single outline without holes" };
+  }
+
+  const ring = rings[0].map((point) =>
+    Array.isArray(point) ? point.slice(0, 2).map(Number) : point
+  );
+  if (!ring.every(isPosition)) {
+    return { error: "polygon points must be [lng, lat] within valid ranges" };
+  }
+  if (!samePosition(ring[0], ring[ring.length - 1])) ring.push([...ring[0]]);
+
+  const vertices = ring.length - 1;
+  if (vertices < 3) {
+    return { error: "polygon needs at least 3 points" };
+  }
+  if (vertices > MAX_POLYGON_VERTICES) {
+    return { error: `polygon can have at most ${MAX_POLYGON_VERTICES} points` };
+  }
+  if (selfIntersects(ring)) {
+    return { error: "polygon edges must not cross each other" };
+  }
+
+  const areaKm2 = ringAreaKm2(ring);
+  if (areaKm2 === 0) {
+    return { error: "polygon must enclose an area" };
+  }
+  if (areaKm2 > maxAreaKm2) {
+    return { error: `Search area must be smaller than ${maxAreaKm2} km²` };
+  }
+
+  return { geometry: { type: "Polygon", coordinates: [ring] }, areaKm2 };
+};
+
+/**
+ * Validate a map viewport "minLng,minLat,maxLng,maxLat" (not size-limited
+ * like drawn polygons). Returns { geometry } or { error }.
+ */
+export const parseBbox = (value) => {
+  const parts = (Array.isArray(value) ? value : String(value).split(",")).map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return { error: "bbox min values must be smaller than its max values" };
+  }
+
+  // Zoomed-out viewports are fine, but the box edges must stay well defined
+  if (maxLng - minLng > 180 || maxLat - minLat > 90) {
+    return { error: "bbox must span at most 180° of longitude and 90° of latitude" };
+  }
+
+  return parsePolygon(
+    [
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+    ],
+    { maxAreaKm2: Infinity }
+  );
+};
+
+/**
+ * The area filter of a search (?bbox= or ?polygon=), if any
+ * Returns {} when neither is given, else { geometry } or { error }.
+ */
+export const searchAreaFrom = ({ bbox, polygon } = {}) => {
+  if (bbox && polygon) return { error: "Use either bbox or polygon, not both" };
+  if (bbox) return parseBbox(bbox);
+  if (polygon) return parsePolygon(polygon);
+  return {};
+};
+
+// Search params of a saved search, including its saved area
+export const savedSearchParams = (searchQuery = {}, searchArea) =>
+  searchArea?.geometry?.coordinates?.length
+    ? { ...searchQuery, polygon: JSON.stringify(searchArea.geometry) }
+    : searchQuery;
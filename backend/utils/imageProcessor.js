@@ -0,0 +1,109 @@
+import sharp from "sharp";
+import crypto from "crypto";
+import ErrorHandler from "./ErrorHandler.js";
+import { getStorage } from "./storage.js";
+
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600,
+};
+
+const SUPPORTED_FORMATS = ["jpeg", "png", "webp"];
+
+/**
+ * 64-bit difference hash (hex). Re-encoded or resized copies of the same
+ * photo end up within a few bits of each other.
+ */
+export const imageFingerprint = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+};
+
+// Number of differing bits between two fingerprints
+export const fingerprintDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+/**
+ * Resize an upload into every variant and store them.
+ * Images are auto-rotated from their EXIF orientation, then re-encoded
+ * without any metadata so EXIF/GPS data never leaves the server.
+ */
+export const processPropertyImage = async (file, propertyId) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new ErrorHandler(`${file.originalname} is not a valid image`, 400);
+  }
+
+  // Don't trust the client MIME type, check the decoded format
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw new ErrorHandler(
+      `${file.originalname}: only JPEG, PNG and WebP images are allowed`,
+      400
+    );
+  }
+
+  const storage = getStorage();
+  const baseKey = `properties/${propertyId}/${crypto.randomUUID()}`;
+  const variants = {};
+
+  for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      // JPEG has no alpha channel, put transparent PNG/WebP areas on white
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer();
+
+    variants[name] = await storage.put(`${baseKey}/${name}.jpg`, buffer, "image/jpeg");
+  }
+
+  return {
+    url: variants.large,
+    public_id: baseKey,
+    variants,
+    fingerprint: await imageFingerprint(file.buffer),
+    width: metadata.width,
+    height: metadata.height,
+  };
+};
+
+/**
+ * Delete every stored variant of an image
+ */
+export const removePropertyImage = async (image) => {
+  if (!image.public_id) return;
+
+  const storage = getStorage();
+  await Promise.all(
+    Object.keys(IMAGE_VARIANTS).map((name) =>
+      storage.remove(`${image.public_id}/${name}.jpg`).catch((error) =>
+        console.error("Image delete error:", error.message)
+      )
+    )
+  );
+};
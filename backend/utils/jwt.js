@@ -1,17 +1,35 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
 export const signToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
-};
-
-export const signResetToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "10m",
+    expiresIn: process.env.JWT_EXPIRES || "15m",
   });
 };
 
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
+
+export const generateRefreshToken = () => crypto.randomBytes(40).toString("hex");
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const refreshTokenExpiryAfter = (
+  days = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30
+) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+// Long-lived token embedded in saved-search alert emails
+export const signUnsubscribeToken = (searchId) =>
+  jwt.sign({ sid: searchId.toString(), purpose: "unsubscribe" }, process.env.JWT_SECRET);
+
+export const verifyUnsubscribeToken = (token, searchId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "unsubscribe" && decoded.sid === searchId;
+  } catch (error) {
+    return false;
+  }
+};
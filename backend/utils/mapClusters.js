@@ -0,0 +1,112 @@
+// Server-side map clustering for search results
+
+// From this zoom level on, individual listings are returned instead of clusters
+export const MAP_POINTS_MIN_ZOOM = Number(process.env.MAP_POINTS_MIN_ZOOM) || 16;
+export const MAX_MAP_POINTS = 500;
+const MAX_CLUSTERS = 2000;
+const CLUSTER_CELL_PX = 64;
+
+/**
+ * Grid cell size in degrees: CLUSTER_CELL_PX screen pixels on 256px web
+ * map tiles. Latitude cells shrink away from the equator like the map does.
+ */
+export const clusterCellSize = (zoom, centerLat = 0) => {
+  const lng = (360 / 2 ** zoom) * (CLUSTER_CELL_PX / 256);
+  return { lng, lat: lng * Math.cos((centerLat * Math.PI) / 180) };
+};
+
+const coordinate = (index) => ({
+  $arrayElemAt: ["$location.coordinates.coordinates", index],
+});
+
+const clusterStages = ({ minLng, minLat, cell, priceField }) => [
+  { $project: { lng: coordinate(0), lat: coordinate(1), price: `$${priceField}` } },
+  {
+    $group: {
+      _id: {
+        x: { $floor: { $divide: [{ $subtract: ["$lng", minLng] }, cell.lng] } },
+        y: { $floor: { $divide: [{ $subtract: ["$lat", minLat] }, cell.lat] } },
+      },
+      count: { $sum: 1 },
+      lng: { $avg: "$lng" },
+      lat: { $avg: "$lat" },
+      minPrice: { $min: "$price" },
+      avgPrice: { $avg: "$price" },
+      propertyId: { $first: "$_id" },
+    },
+  },
+  { $sort: { count: -1 } },
+  { $limit: MAX_CLUSTERS },
+];
+
+const pointStages = () => [
+  { $limit: MAX_MAP_POINTS },
+  {
+    $project: {
+      title: 1,
+      slug: 1,
+      price: 1,
+      monthlyRent: 1,
+      listingType: 1,
+      rentPeriod: 1,
+      propertyType: 1,
+      bedrooms: 1,
+      areaSqft: 1,
+      lng: coordinate(0),
+      lat: coordinate(1),
+      image: { $arrayElemAt: ["$images.url", 0] },
+    },
+  },
+];
+
+/**
+ * Clusters (or, from MAP_POINTS_MIN_ZOOM, points) for a map viewport.
+ * `features` must already have the search filters applied (including the
+ * bbox), so the map shows exactly what the list shows.
+ */
+export const buildMapLayer = async (features, { bbox, zoom, priceField = "price" }) => {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  features.convertToAggregation();
+  const pipeline = features.pipeline();
+
+  if (zoom >= MAP_POINTS_MIN_ZOOM) {
+    const [points, total] = await Promise.all([
+      features.model.aggregate([...pipeline, ...pointStages()]),
+      features.count(),
+    ]);
+
+    return {
+      mode: "points",
+      total,
+      truncated: total > points.length,
+      data: points.map(({ lng, lat, ...point }) => ({
+        type: "point",
+        ...point,
+        location: { lat, lng },
+      })),
+    };
+  }
+
+  const cell = clusterCellSize(zoom, (minLat + maxLat) / 2);
+  const clusters = await features.model.aggregate([
+    ...pipeline,
+    ...clusterStages({ minLng, minLat, cell, priceField }),
+  ]);
+
+  return {
+    mode: "clusters",
+    total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+    cellSize: cell,
+    bounds: { minLng, minLat, maxLng, maxLat },
+    data: clusters.map(({ _id, count, lng, lat, minPrice, avgPrice, propertyId }) => ({
+      type: "cluster",
+      id: `${zoom}:${_id.x}:${_id.y}`,
+      count,
+      centroid: { lat, lng },
+      minPrice,
+      avgPrice: avgPrice === null ? null : Math.round(avgPrice),
+      // Single-listing clusters link straight to the listing
+      ...(count === 1 && { propertyId }),
+    })),
+  };
+};
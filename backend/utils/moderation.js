@@ -0,0 +1,157 @@
+import { Property } from "../models/Property.js";
+import { toE164 } from "./phone.js";
+
+export const MODERATION_SLA_HOURS = Number(process.env.MODERATION_SLA_HOURS) || 24;
+export const MODERATION_LOCK_MINUTES =
+  Number(process.env.MODERATION_LOCK_MINUTES) || 15;
+
+// Templated rejection reasons; `note` from the moderator is appended
+export const MODERATION_REASONS = {
+  missing_photos: "Please add at least one clear photo of the property.",
+  poor_photos: "Photos are blurry, watermarked or do not show the property.",
+  wrong_location: "The map location does not match the address or city.",
+  invalid_contact: "The contact phone number or email is not valid.",
+  misleading_price: "The price looks incorrect or misleading.",
+  incomplete_details: "Important details (area, rooms, description) are missing.",
+  duplicate: "This property is already listed.",
+  prohibited_content: "The listing contains content that is not allowed.",
+  other: "The listing does not meet our guidelines.",
+};
+
+// Claimed city centres ([lng, lat]) and how far a listing may be from them
+const CITY_CENTERS = {
+  mumbai: { center: [72.8777, 19.076], radiusKm: 60 },
+  delhi: { center: [77.209, 28.6139], radiusKm: 50 },
+  "new delhi": { center: [77.209, 28.6139], radiusKm: 50 },
+  bangalore: { center: [77.5946, 12.9716], radiusKm: 45 },
+  bengaluru: { center: [77.5946, 12.9716], radiusKm: 45 },
+  hyderabad: { center: [78.4867, 17.385], radiusKm: 45 },
+  chennai: { center: [80.2707, 13.0827], radiusKm: 45 },
+  kolkata: { center: [88.3639, 22.5726], radiusKm: 40 },
+  pune: { center: [73.8567, 18.5204], radiusKm: 40 },
+  ahmedabad: { center: [72.5714, 23.0225], radiusKm: 35 },
+  gurgaon: { center: [77.0266, 28.4595], radiusKm: 30 },
+  gurugram: { center: [77.0266, 28.4595], radiusKm: 30 },
+  noida: { center: [77.391, 28.5355], radiusKm: 30 },
+  jaipur: { center: [75.7873, 26.9124], radiusKm: 35 },
+};
+const FALLBACK_RADIUS_KM = 50;
+
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Known centre, else the average position of other live listings in the city
+const cityCenter = async (city, excludeId) => {
+  const known = CITY_CENTERS[city.trim().toLowerCase()];
+  if (known) return known;
+
+  const [result] = await Property.aggregate([
+    {
+      $match: {
+        _id: { $ne: excludeId },
+        status: "active",
+        "location.city": new RegExp(`^${escapeRegex(city.trim())}$`, "i"),
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        lng: { $avg: { $arrayElemAt: ["$location.coordinates.coordinates", 0] } },
+        lat: { $avg: { $arrayElemAt: ["$location.coordinates.coordinates", 1] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return result?.count >= 3
+    ? { center: [result.lng, result.lat], radiusKm: FALLBACK_RADIUS_KM }
+    : null;
+};
+
+/**
+ * Automatic review checklist. `passed` is null when a check cannot be decided.
+ */
+export const buildModerationChecklist = async (property) => {
+  const checklist = [];
+
+  const photos = property.images?.length || 0;
+  checklist.push({
+    key: "photos",
+    label: "Photos present",
+    passed: photos > 0,
+    detail: `${photos} photo(s)`,
+  });
+
+  const coordinates = property.location?.coordinates?.coordinates;
+  const city = property.location?.city;
+  let locationCheck = { passed: null, detail: "City centre unknown" };
+  if (!coordinates?.length || !city) {
+    locationCheck = { passed: false, detail: "Missing coordinates or city" };
+  } else {
+    const reference = await cityCenter(city, property._id);
+    if (reference) {
+      const distance = Math.round(distanceKm(coordinates, reference.center) * 10) / 10;
+      locationCheck = {
+        passed: distance <= reference.radiusKm,
+        detail: `${distance} km from ${city} centre (max ${reference.radiusKm} km)`,
+      };
+    }
+  }
+  checklist.push({
+    key: "location",
+    label: "Coordinates inside claimed city",
+    ...locationCheck,
+  });
+
+  const phone = toE164(property.contact?.phone);
+  const email = property.contact?.email;
+  const emailValid = !email || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  checklist.push({
+    key: "contact",
+    label: "Contact valid",
+    passed: Boolean(phone) && emailValid,
+    detail: !phone ? "Invalid phone number" : !emailValid ? "Invalid email" : phone,
+  });
+
+  const duplicates = property.duplicateCheck?.candidates?.length || 0;
+  checklist.push({
+    key: "duplicates",
+    label: "No suspected duplicates",
+    passed: !["warned", "queued"].includes(property.duplicateCheck?.status),
+    detail: duplicates
+      ? `${duplicates} similar listing(s), best score ${property.duplicateCheck.candidates[0].score}`
+      : "No similar listings found",
+  });
+
+  checklist.push({
+    key: "details",
+    label: "Description and price provided",
+    passed: (property.description?.trim().length || 0) >= 30 && property.price > 0,
+    detail: `${property.description?.trim().length || 0} characters of description`,
+  });
+
+  return checklist;
+};
+
+/**
+ * SLA timer for a queued listing
+ */
+export const moderationSla = (queuedAt, now = new Date()) => {
+  const dueAt = new Date(queuedAt.getTime() + MODERATION_SLA_HOURS * 60 * 60 * 1000);
+  return {
+    queuedAt,
+    dueAt,
+    ageHours: Math.round(((now - queuedAt) / (60 * 60 * 1000)) * 10) / 10,
+    remainingMinutes: Math.round((dueAt - now) / (60 * 1000)),
+    breached: now > dueAt,
+  };
+};
@@ -0,0 +1,14 @@
+import { Notification } from "../models/Notification.js";
+
+/**
+ * Create an in-app notification. Failures are logged, never thrown,
+ * so notifications cannot break the request that triggered them.
+ */
+export const notifyInApp = async ({ user, type, title, message, link, data }) => {
+  try {
+    return await Notification.create({ user, type, title, message, link, data });
+  } catch (error) {
+    console.error(`Notification (${type}) error:`, error.message);
+    return null;
+  }
+};
@@ -1,7 +1,23 @@
-export const generateOtp = () =>
-  Math.floor(100000 + Math.random() * 900000).toString();
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
 
-export const otpExpiryAfter = (mins = Number(process.env.OTP_EXP_MINUTES)) =>
-  new Date(Date.now() + mins * 60 * 1000);
+// A code issued for one flow cannot be used to complete another
+export const OTP_PURPOSES = ["signup", "login", "reset", "phone_change"];
+
+export const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+export const OTP_RESEND_COOLDOWN_SECONDS =
+  Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30;
+export const OTP_LOCK_MINUTES = Number(process.env.OTP_LOCK_MINUTES) || 15;
+
+export const generateOtp = () => crypto.randomInt(100000, 1000000).toString();
+
+export const otpExpiryAfter = (
+  mins = Number(process.env.OTP_EXP_MINUTES) || 10
+) => new Date(Date.now() + mins * 60 * 1000);
 
 export const isOtpExpired = (expiry) => !expiry || expiry < new Date();
+
+// OTPs are stored as salted hashes, never in plaintext
+export const hashOtp = (otp) => bcrypt.hash(otp, 10);
+
+export const compareOtp = (otp, hash) => bcrypt.compare(String(otp), hash);
@@ -0,0 +1,33 @@
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || "91";
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>).
+ * 10-digit national numbers get the default country code; numbers that
+ * already carry a "+" or "00" international prefix are kept as is.
+ * Returns null when the number cannot be normalized.
+ */
+export const toE164 = (phone, countryCode = DEFAULT_COUNTRY_CODE) => {
+  if (!phone) return null;
+
+  let value = String(phone).trim().replace(/[\s\-().]/g, "");
+
+  if (value.startsWith("00")) value = `+${value.slice(2)}`;
+
+  if (value.startsWith("+")) {
+    return /^\+[1-9]\d{7,14}$/.test(value) ? value : null;
+  }
+
+  if (!/^\d+$/.test(value)) return null;
+
+  // Trunk prefix used when dialing nationally, e.g. 09876543210
+  if (value.length === 11 && value.startsWith("0")) value = value.slice(1);
+
+  if (value.length === 10) return `+${countryCode}${value}`;
+
+  // Longer numbers are assumed to already include their country code
+  if (value.length > 10 && value.length <= 15 && !value.startsWith("0")) {
+    return `+${value}`;
+  }
+
+  return null;
+};
@@ -0,0 +1,56 @@
+import { Favorite } from "../models/Favorite.js";
+import { queueTemplateEmail } from "./sendEmail.js";
+import { notifyInApp } from "./notify.js";
+
+const formatPrice = (price) => `₹${Number(price).toLocaleString("en-IN")}`;
+
+/**
+ * Tell everyone who opted into price-drop alerts on their favorite.
+ * Runs in the background; failures are logged, never thrown.
+ */
+export const notifyPriceDrop = async (property, oldPrice) => {
+  if (property.status !== "active") return 0;
+
+  try {
+    const favorites = await Favorite.find({
+      property: property._id,
+      priceDropAlert: true,
+    })
+      .populate("user", "name email preferredLanguage")
+      .lean();
+
+    const propertyUrl = `${process.env.CLIENT_URL}/property/${property.slug || property._id}`;
+
+    for (const { user } of favorites) {
+      if (!user) continue;
+
+      notifyInApp({
+        user: user._id,
+        type: "price_drop",
+        title: `Price dropped for "${property.title}"`,
+        message: `${formatPrice(oldPrice)} → ${formatPrice(property.price)} (-${property.priceDropPercent}%)`,
+        link: propertyUrl,
+        data: { propertyId: property._id, oldPrice, newPrice: property.price },
+      });
+
+      queueTemplateEmail({
+        to: user.email,
+        template: "priceDrop",
+        data: {
+          name: user.name,
+          title: property.title,
+          oldPrice: formatPrice(oldPrice),
+          newPrice: formatPrice(property.price),
+          dropPercent: property.priceDropPercent,
+          propertyUrl,
+        },
+        locale: user.preferredLanguage,
+      });
+    }
+
+    return favorites.length;
+  } catch (error) {
+    console.error("Price drop alert error:", error.message);
+    return 0;
+  }
+};
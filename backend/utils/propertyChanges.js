@@ -0,0 +1,68 @@
+import { Property } from "../models/Property.js";
+import { recordPropertyRevision } from "./propertyRevisions.js";
+import { checkForDuplicates, recordDuplicateCheck } from "./duplicateDetector.js";
+
+// Fields whose edits need another look from a moderator
+export const REVIEWED_FIELDS = [
+  "title", "description", "price", "location", "images", "contact", "listingType",
+];
+
+// Fields that identify the property for duplicate detection
+export const DUPLICATE_FIELDS = [
+  "location", "price", "areaSqft", "bedrooms", "bathrooms", "images", "propertyType", "listingType",
+];
+
+// Statuses a moderator has already signed off on
+const REVIEWED_STATUSES = ["active", "approved", "hold"];
+
+/**
+ * Duplicate check for an edit, or null when no identifying field changes
+ */
+export const checkUpdateForDuplicates = (property, data) =>
+  DUPLICATE_FIELDS.some((field) => data[field] !== undefined)
+    ? checkForDuplicates({ ...property.toObject(), ...data })
+    : null;
+
+/**
+ * Bookkeeping shared by every edit of an existing listing: stores the
+ * revision, sends owner edits of reviewed content back to the moderation
+ * queue and records the duplicate check. `before` is the listing as it was
+ * before the edit. Returns the revision (null when nothing changed).
+ */
+export const afterPropertyUpdate = async ({
+  before,
+  after,
+  fields,
+  user,
+  duplicates,
+  action,
+  restoredFrom,
+}) => {
+  const revision = await recordPropertyRevision({
+    before,
+    after,
+    fields,
+    user,
+    action,
+    restoredFrom,
+  });
+
+  if (duplicates) {
+    await recordDuplicateCheck(after, duplicates);
+  }
+
+  const needsReview =
+    revision &&
+    user.role !== "admin" &&
+    REVIEWED_STATUSES.includes(before.status) &&
+    revision.changes.some(({ field }) => REVIEWED_FIELDS.includes(field));
+
+  if (needsReview) {
+    await Property.updateOne(
+      { _id: after._id, "moderation.queuedAt": null },
+      { $set: { moderation: { queuedAt: new Date(), reason: "edited", revision: revision.version } } }
+    );
+  }
+
+  return revision;
+};
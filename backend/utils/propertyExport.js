@@ -0,0 +1,187 @@
+import ExcelJS from "exceljs";
+import { csvLine } from "./propertyImport.js";
+import { AdvancedApiFeatures } from "./apiFeatures.js";
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "geojson"];
+export const MAX_EXPORT_ROWS = Number(process.env.MAX_EXPORT_ROWS) || 50000;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  geojson: "application/geo+json",
+};
+
+/**
+ * Flattened export columns. Headers match the bulk import columns so an
+ * exported sheet can be edited and imported again.
+ */
+const COLUMNS = [
+  { header: "id", value: (p) => p._id?.toString() },
+  { header: "title", value: (p) => p.title },
+  { header: "status", value: (p) => p.status },
+  { header: "listingType", value: (p) => p.listingType },
+  { header: "propertyType", value: (p) => p.propertyType },
+  { header: "price", value: (p) => p.price },
+  { header: "rentPeriod", value: (p) => p.rentPeriod },
+  { header: "monthlyRent", value: (p) => p.monthlyRent },
+  { header: "pricePerSqft", value: (p) => p.pricePerSqft },
+  { header: "bedrooms", value: (p) => p.bedrooms },
+  { header: "bathrooms", value: (p) => p.bathrooms },
+  { header: "areaSqft", value: (p) => p.areaSqft },
+  { header: "furnishing", value: (p) => p.furnishing },
+  { header: "location.address", value: (p) => p.location?.address },
+  { header: "location.area", value: (p) => p.location?.area },
+  { header: "location.city", value: (p) => p.location?.city },
+  { header: "location.state", value: (p) => p.location?.state },
+  { header: "location.pincode", value: (p) => p.location?.pincode },
+  { header: "lat", value: (p) => p.location?.coordinates?.coordinates?.[1] },
+  { header: "lng", value: (p) => p.location?.coordinates?.coordinates?.[0] },
+  { header: "amenities", value: (p) => p.amenities?.join("; ") },
+  { header: "contact.phone", value: (p) => p.contact?.phone, contact: true },
+  { header: "contact.email", value: (p) => p.contact?.email, contact: true },
+  { header: "viewCount", value: (p) => p.viewCount },
+  { header: "inquiryCount", value: (p) => p.inquiryCount },
+  { header: "favoriteCount", value: (p) => p.favoriteCount },
+  { header: "createdAt", value: (p) => p.createdAt },
+  { header: "updatedAt", value: (p) => p.updatedAt },
+];
+
+// Only what the columns need, so large exports stay light
+const EXPORT_FIELDS =
+  "title status listingType propertyType price rentPeriod monthlyRent pricePerSqft " +
+  "bedrooms bathrooms areaSqft furnishing location amenities contact viewCount " +
+  "inquiryCount favoriteCount createdAt updatedAt";
+
+const exportProjection = ({ includeContact = false } = {}) =>
+  Object.fromEntries(
+    EXPORT_FIELDS.split(" ")
+      .filter((field) => includeContact || field !== "contact")
+      .map((field) => [field, 1])
+  );
+
+const toRow = (property, columns) =>
+  columns.map(({ value }) => {
+    const cell = value(property);
+    return cell instanceof Date ? cell.toISOString() : cell;
+  });
+
+const assertConnected = (res) => {
+  if (res.destroyed) throw new Error("Client closed the connection");
+};
+
+// Wait for the client to catch up before writing more
+const write = async (res, chunk) => {
+  assertConnected(res);
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+const streamCsv = async (res, cursor, columns) => {
+  await write(res, "\uFEFF" + csvLine(columns.map(({ header }) => header)));
+  for await (const property of cursor) {
+    await write(res, csvLine(toRow(property, columns)));
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, cursor, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Properties");
+  sheet.columns = columns.map(({ header }) => ({ header, key: header }));
+
+  for await (const property of cursor) {
+    assertConnected(res);
+    sheet.addRow(columns.map(({ value }) => value(property) ?? null)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+const streamGeoJson = async (res, cursor, columns) => {
+  const propertyColumns = columns.filter(({ header }) => header !== "lat" && header !== "lng");
+
+  await write(res, '{"type":"FeatureCollection","features":[');
+  let first = true;
+  for await (const property of cursor) {
+    const coordinates = property.location?.coordinates?.coordinates;
+    const feature = {
+      type: "Feature",
+      id: property._id?.toString(),
+      geometry:
+        coordinates?.length === 2 ? { type: "Point", coordinates } : null,
+      properties: Object.fromEntries(
+        propertyColumns.map(({ header, value }) => [header, value(property) ?? null])
+      ),
+    };
+    await write(res, (first ? "" : ",") + JSON.stringify(feature));
+    first = false;
+  }
+  res.end("]}");
+};
+
+/**
+ * Stream a listings cursor as a CSV, XLSX or GeoJSON download.
+ * Contact columns are only included when includeContact is set.
+ */
+export const streamPropertyExport = async (
+  res,
+  cursor,
+  { format, fileName = "properties", includeContact = false }
+) => {
+  const columns = COLUMNS.filter((column) => includeContact || !column.contact);
+
+  res.status(200).set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${fileName}-${new Date()
+      .toISOString()
+      .slice(0, 10)}.${format}"`,
+  });
+
+  try {
+    if (format === "xlsx") await streamXlsx(res, cursor, columns);
+    else if (format === "geojson") await streamGeoJson(res, cursor, columns);
+    else await streamCsv(res, cursor, columns);
+  } catch (error) {
+    // Headers are gone by now; cut the download so it is not mistaken for a full file
+    console.error("Property export error:", error.message);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
+
+/**
+ * Export mode for list endpoints (?format=csv|xlsx|geojson): applies the
+ * AdvancedApiFeatures filters and sort to baseQuery, without pagination
+ */
+export const sendPropertyExport = async (
+  req,
+  res,
+  baseQuery,
+  { fileName, includeContact = false } = {}
+) => {
+  const { format } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    });
+  }
+
+  const features = new AdvancedApiFeatures(baseQuery, req.query).applyFiltersUnpaginated();
+  const cursor = features.cursor({
+    select: exportProjection({ includeContact }),
+    limit: MAX_EXPORT_ROWS,
+  });
+
+  await streamPropertyExport(res, cursor, { format, fileName, includeContact });
+};
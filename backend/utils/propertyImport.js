@@ -0,0 +1,342 @@
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+import ErrorHandler from "./ErrorHandler.js";
+import { Property, addressKeyFor } from "../models/Property.js";
+import { buildPropertyData } from "./propertyInput.js";
+import { checkForDuplicates } from "./duplicateDetector.js";
+
+export const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS) || 5000;
+
+/**
+ * Spreadsheet column -> property path. Headers are matched case-insensitively
+ * ignoring spaces, dashes and underscores, so "Area (sqft)", "area_sqft" and
+ * "areaSqft" all land on areaSqft. "Area"/"Location" is the locality.
+ */
+const COLUMNS = {
+  title: ["title", "name"],
+  description: ["description", "details"],
+  price: ["price", "expectedprice", "rent"],
+  listingType: ["listingtype", "listingfor", "purpose"],
+  rentPeriod: ["rentperiod"],
+  bedrooms: ["bedrooms", "beds", "bhk"],
+  bathrooms: ["bathrooms", "baths"],
+  areaSqft: ["areasqft", "sqft", "builtuparea", "carpetarea", "size"],
+  propertyType: ["propertytype", "type"],
+  furnishing: ["furnishing"],
+  parking: ["parking"],
+  "floors.total": ["totalfloors", "floorstotal", "floors"],
+  "floors.propertyOn": ["floor", "flooron", "propertyon", "floorspropertyon"],
+  ageInYears: ["ageinyears", "age"],
+  facing: ["facing"],
+  balconies: ["balconies"],
+  pricePerSqft: ["pricepersqft"],
+  maintenanceCharges: ["maintenancecharges", "maintenance"],
+  securityDeposit: ["securitydeposit", "deposit"],
+  availableFrom: ["availablefrom"],
+  isNegotiable: ["isnegotiable", "negotiable"],
+  amenities: ["amenities"],
+  images: ["images", "imageurls", "photos"],
+  "location.address": ["address", "locationaddress"],
+  "location.area": ["area", "locality", "location", "locationarea"],
+  "location.city": ["city", "locationcity"],
+  "location.state": ["state", "locationstate"],
+  "location.pincode": ["pincode", "zip", "postalcode", "locationpincode"],
+  "location.country": ["country", "locationcountry"],
+  lat: ["lat", "latitude"],
+  lng: ["lng", "lon", "long", "longitude"],
+  "contact.phone": ["phone", "mobile", "contactphone"],
+  "contact.email": ["email", "contactemail"],
+  "contact.whatsapp": ["whatsapp", "contactwhatsapp"],
+  "rentDetails.depositMonths": ["depositmonths"],
+  "rentDetails.lockInMonths": ["lockinmonths", "lockin"],
+  "rentDetails.tenantPreference": ["tenantpreference", "preferredtenants"],
+  "rentDetails.petsAllowed": ["petsallowed", "pets"],
+};
+
+const NUMBER_FIELDS = new Set([
+  "price", "bedrooms", "bathrooms", "areaSqft", "parking", "floors.total",
+  "floors.propertyOn", "ageInYears", "balconies", "pricePerSqft",
+  "maintenanceCharges", "securityDeposit", "rentDetails.depositMonths",
+  "rentDetails.lockInMonths",
+]);
+const BOOLEAN_FIELDS = new Set(["isNegotiable", "rentDetails.petsAllowed"]);
+const LIST_FIELDS = new Set(["amenities", "images", "rentDetails.tenantPreference"]);
+const LOWERCASE_FIELDS = new Set([
+  "listingType", "rentPeriod", "propertyType", "furnishing", "facing",
+  "rentDetails.tenantPreference",
+]);
+
+const normalizeHeader = (header) =>
+  String(header ?? "").toLowerCase().replace(/[^a-z0-9.]/g, "");
+
+const HEADER_LOOKUP = Object.entries(COLUMNS).reduce((lookup, [path, aliases]) => {
+  aliases.forEach((alias) => (lookup[alias] = path));
+  lookup[path.toLowerCase()] = path;
+  return lookup;
+}, {});
+
+// Columns for the downloadable template, in a friendly order
+export const IMPORT_TEMPLATE_COLUMNS = Object.keys(COLUMNS);
+
+/**
+ * Map spreadsheet headers to property paths
+ * Returns { columns: [path|null per header], unknownColumns }
+ */
+export const mapImportHeaders = (headers) => {
+  const seen = new Set();
+  const unknownColumns = [];
+
+  const columns = headers.map((header) => {
+    const path = HEADER_LOOKUP[normalizeHeader(header)];
+    if (!path || seen.has(path)) {
+      if (String(header ?? "").trim()) unknownColumns.push(String(header).trim());
+      return null;
+    }
+    seen.add(path);
+    return path;
+  });
+
+  return { columns, unknownColumns };
+};
+
+// ExcelJS cells can be rich text, hyperlinks, formulas or dates
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the first sheet of a CSV/XLSX upload
+ * Returns { headers, rows: [{ row, values }] } where row is the sheet row number
+ */
+export const parseImportFile = async (buffer, format) => {
+  let table;
+
+  try {
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const sheet = workbook.worksheets[0];
+      table = [];
+      sheet?.eachRow((sheetRow, rowNumber) => {
+        const values = [];
+        sheetRow.eachCell({ includeEmpty: true }, (cell, col) => {
+          values[col - 1] = cellText(cell.value);
+        });
+        table.push({ row: rowNumber, values: Array.from(values, (value) => value ?? "") });
+      });
+    } else {
+      const records = parse(buffer, {
+        bom: true,
+        trim: true,
+        relax_column_count: true,
+        skip_empty_lines: true,
+        info: true,
+      });
+      table = records.map(({ record, info }) => ({ row: info.lines, values: record }));
+    }
+  } catch (error) {
+    throw new ErrorHandler(`Could not read the ${format.toUpperCase()} file: ${error.message}`, 400);
+  }
+
+  const [header, ...rows] = table;
+  if (!header) throw new ErrorHandler("The file is empty", 400);
+
+  return {
+    headers: header.values,
+    rows: rows.filter(({ values }) => values.some((value) => value !== "")),
+  };
+};
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false,
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] ??= {}), target);
+  parent[last] = value;
+};
+
+// Lists are separated by ";" or "|"; commas only when neither is used
+const splitList = (value) =>
+  value
+    .split(/[;|]/.test(value) ? /[;|]/ : ",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Turn one sheet row into a createProperty-style payload
+ * Returns { input, issues }
+ */
+export const mapImportRow = (values, columns) => {
+  const input = {};
+  const issues = [];
+
+  columns.forEach((path, index) => {
+    const raw = values[index];
+    if (!path || raw === undefined || raw === "") return;
+
+    let value = String(raw).trim();
+    if (LOWERCASE_FIELDS.has(path)) value = value.toLowerCase();
+
+    if (NUMBER_FIELDS.has(path)) {
+      const number = Number(value.replace(/[,\s₹]/g, ""));
+      if (Number.isNaN(number)) {
+        issues.push(`${path} must be a number (got "${value}")`);
+        return;
+      }
+      value = number;
+    } else if (BOOLEAN_FIELDS.has(path)) {
+      const flag = BOOLEAN_VALUES[value.toLowerCase()];
+      if (flag === undefined) {
+        issues.push(`${path} must be yes or no (got "${value}")`);
+        return;
+      }
+      value = flag;
+    } else if (LIST_FIELDS.has(path)) {
+      value = splitList(value);
+    }
+
+    setPath(input, path, value);
+  });
+
+  if (input.images) {
+    input.images = input.images.map((url, index) => ({ url, isMain: index === 0 }));
+  }
+
+  return { input, issues };
+};
+
+const validationMessages = (error) =>
+  Object.values(error.errors).map((err) => err.message);
+
+// Same property listed twice in one file
+const rowSignature = (data) =>
+  [addressKeyFor(data.location), data.listingType, data.bedrooms, data.price].join("|");
+
+// Validate one row like createProperty does and, unless dryRun, create it
+const importPropertyRow = async ({ row, values }, columns, { userId, dryRun, seenRows }) => {
+  const { input, issues } = mapImportRow(values, columns);
+  const result = { row, title: input.title, issues, warnings: [] };
+
+  if (issues.length) return { ...result, status: "failed" };
+
+  const { error, data } = buildPropertyData(input, userId);
+  if (error) {
+    issues.push(error.message);
+    return { ...result, status: "failed" };
+  }
+
+  const validationError = new Property(data).validateSync();
+  if (validationError) {
+    issues.push(...validationMessages(validationError));
+    return { ...result, status: "failed" };
+  }
+
+  const signature = rowSignature(data);
+  if (seenRows.has(signature)) {
+    issues.push(`Same property as row ${seenRows.get(signature)}`);
+    return { ...result, status: "skipped" };
+  }
+  seenRows.set(signature, row);
+
+  const duplicates = await checkForDuplicates(data);
+  if (duplicates.action === "block") {
+    issues.push("You have already listed this property");
+    return { ...result, status: "skipped", property: duplicates.matches[0].property._id };
+  }
+  if (duplicates.matches.length) {
+    result.warnings.push(
+      `Possible duplicate of ${duplicates.matches.map(({ property }) => property._id).join(", ")}`
+    );
+  }
+
+  if (dryRun) return { ...result, status: "valid" };
+
+  data.duplicateCheck = duplicates.duplicateCheck;
+  if (duplicates.action === "queue") {
+    data.moderation = { queuedAt: new Date(), reason: "duplicate" };
+  }
+
+  const property = await Property.create(data);
+  return { ...result, status: "created", property: property._id };
+};
+
+/**
+ * Validate (and unless dryRun, create) every row. onProgress(results) is
+ * called every `progressEvery` rows.
+ * Returns one result per row: { row, status, title, property, issues, warnings }
+ */
+export const importPropertyRows = async (
+  rows,
+  columns,
+  { userId, dryRun = false, onProgress, progressEvery = 25 } = {}
+) => {
+  const results = [];
+  const seenRows = new Map();
+
+  for (const sheetRow of rows) {
+    try {
+      results.push(
+        await importPropertyRow(sheetRow, columns, { userId, dryRun, seenRows })
+      );
+    } catch (error) {
+      results.push({
+        row: sheetRow.row,
+        status: "failed",
+        issues: [error.errors ? validationMessages(error).join("; ") : error.message],
+        warnings: [],
+      });
+    }
+
+    if (onProgress && results.length % progressEvery === 0) {
+      await onProgress(results);
+    }
+  }
+
+  return results;
+};
+
+// Counts for the job summary / sync response
+export const summarizeImport = (results) => ({
+  createdCount: results.filter((result) => result.status === "created").length,
+  failedCount: results.filter((result) => result.status === "failed").length,
+  skippedCount: results.filter((result) => result.status === "skipped").length,
+});
+
+// Values starting with =, +, -, @ would run as formulas when opened in a spreadsheet
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvLine = (cells) => cells.map(csvCell).join(",") + "\r\n";
+
+export const toCsv = (header, rows) => [header, ...rows].map(csvLine).join("");
+
+/**
+ * Result report for an import, one line per sheet row
+ */
+export const importReportCsv = (results) =>
+  toCsv(
+    ["row", "status", "propertyId", "title", "errors", "warnings"],
+    results.map((result) => [
+      result.row,
+      result.status,
+      result.property,
+      result.title,
+      (result.issues || []).join("; "),
+      (result.warnings || []).join("; "),
+    ])
+  );
@@ -0,0 +1,174 @@
+import { PROPERTY_LISTING_TYPES } from "../models/Property.js";
+
+export const validateCoordinates = (lat, lng) => {
+  const parsedLat = parseFloat(lat);
+  const parsedLng = parseFloat(lng);
+  
+  if (isNaN(parsedLat) || isNaN(parsedLng)) {
+    return { isValid: false, error: "Invalid latitude or longitude format" };
+  }
+  
+  if (parsedLat < -90 || parsedLat > 90 || parsedLng < -180 || parsedLng > 180) {
+    return { isValid: false, error: "Coordinates out of valid range" };
+  }
+  
+  return { isValid: true, lat: parsedLat, lng: parsedLng };
+};
+
+/**
+ * Validate a create-listing payload (POST /api/properties body or an
+ * import row) and build the Property document data.
+ * Returns { error: { message, fields? } } or { data }.
+ */
+export const buildPropertyData = (input = {}, userId) => {
+  const {
+    title, description, price, location = {}, bedrooms, bathrooms, areaSqft,
+    propertyType, furnishing, parking, floors, ageInYears, facing,
+    amenities = [], nearbyMetro = [], nearbyLandmarks = [], images = [],
+    balconies, pricePerSqft, maintenanceCharges, securityDeposit,
+    availableFrom, isNegotiable, contact = {}, lat, lng,
+    listingType = 'sale', rentPeriod, rentDetails
+  } = input;
+
+  // Enhanced validation
+  const requiredFields = [
+    { field: title, name: 'title' },
+    { field: description, name: 'description' },
+    { field: price, name: 'price' },
+    { field: bedrooms, name: 'bedrooms' },
+    { field: bathrooms, name: 'bathrooms' },
+    { field: areaSqft, name: 'areaSqft' }
+  ];
+
+  const missingFields = requiredFields
+    .filter(({ field }) => field === undefined || field === null || field === '')
+    .map(({ name }) => name);
+
+  if (missingFields.length > 0) {
+    return {
+      error: {
+        message: `Missing required fields: ${missingFields.join(', ')}`,
+        fields: missingFields
+      }
+    };
+  }
+
+  if (!PROPERTY_LISTING_TYPES.includes(listingType)) {
+    return {
+      error: {
+        message: `listingType must be one of: ${PROPERTY_LISTING_TYPES.join(', ')}`
+      }
+    };
+  }
+
+  if (listingType === 'sale' && (rentPeriod || rentDetails)) {
+    return {
+      error: {
+        message: "rentPeriod and rentDetails only apply to rent, lease or PG listings"
+      }
+    };
+  }
+
+  // Location validation
+  const locationFields = ['city', 'state', 'address', 'area'];
+  const missingLocationFields = locationFields.filter(field => !location[field]);
+
+  if (missingLocationFields.length > 0) {
+    return {
+      error: {
+        message: `Missing location fields: ${missingLocationFields.join(', ')}`,
+        fields: missingLocationFields
+      }
+    };
+  }
+
+  // Contact validation
+  if (!contact.phone) {
+    return {
+      error: {
+        message: "Phone number is required"
+      }
+    };
+  }
+
+  // Coordinates validation
+  if (lat === undefined || lng === undefined) {
+    return {
+      error: {
+        message: "Latitude and longitude are required"
+      }
+    };
+  }
+
+  const coordValidation = validateCoordinates(lat, lng);
+  if (!coordValidation.isValid) {
+    return {
+      error: {
+        message: coordValidation.error
+      }
+    };
+  }
+
+  // Business validation
+  if (price <= 0 || areaSqft <= 0) {
+    return {
+      error: {
+        message: "Price and area must be positive numbers"
+      }
+    };
+  }
+
+  if (bedrooms < 0 || bathrooms < 0) {
+    return {
+      error: {
+        message: "Bedrooms and bathrooms cannot be negative"
+      }
+    };
+  }
+
+  // Construct enhanced property data
+  const propertyData = {
+    title: title.trim(),
+    description: description.trim(),
+    price: Number(price),
+    bedrooms: Number(bedrooms),
+    bathrooms: Number(bathrooms),
+    areaSqft: Number(areaSqft),
+    propertyType: propertyType || 'apartment',
+    furnishing: furnishing || 'unfurnished',
+    amenities: Array.isArray(amenities) ? amenities.map(a => a.trim()) : [],
+    images: Array.isArray(images) ? images : [],
+    location: {
+      ...location,
+      coordinates: {
+        type: "Point",
+        coordinates: [coordValidation.lng, coordValidation.lat]
+      }
+    },
+    contact: {
+      phone: contact.phone.trim(),
+      email: contact.email?.trim() || "",
+      whatsapp: contact.whatsapp?.trim() || contact.phone.trim()
+    },
+    createdBy: userId
+  };
+
+  // Add optional fields if provided
+  if (parking !== undefined) propertyData.parking = Number(parking);
+  if (floors) propertyData.floors = floors;
+  if (ageInYears !== undefined) propertyData.ageInYears = Number(ageInYears);
+  if (facing) propertyData.facing = facing;
+  if (balconies !== undefined) propertyData.balconies = Number(balconies);
+  if (pricePerSqft) propertyData.pricePerSqft = Number(pricePerSqft);
+  if (maintenanceCharges) propertyData.maintenanceCharges = Number(maintenanceCharges);
+  if (securityDeposit) propertyData.securityDeposit = Number(securityDeposit);
+  if (availableFrom) propertyData.availableFrom = new Date(availableFrom);
+  if (isNegotiable !== undefined) propertyData.isNegotiable = Boolean(isNegotiable);
+  if (nearbyMetro.length > 0) propertyData.nearbyMetro = nearbyMetro;
+  if (nearbyLandmarks.length > 0) propertyData.nearbyLandmarks = nearbyLandmarks;
+  propertyData.listingType = listingType;
+  if (rentPeriod) propertyData.rentPeriod = rentPeriod;
+  if (rentDetails) propertyData.rentDetails = rentDetails;
+
+  return { data: propertyData };
+};
@@ -0,0 +1,90 @@
+import { PropertyRevision } from "../models/PropertyRevision.js";
+
+// Plain JSON copy without subdocument ids, so re-saved arrays compare equal
+const snapshot = (value) =>
+  value === undefined
+    ? null
+    : JSON.parse(JSON.stringify(value), (key, val) =>
+        key === "_id" || key === "id" ? undefined : val
+      );
+
+/**
+ * Field-level diff between two versions of a property document
+ */
+export const diffProperty = (before, after, fields) => {
+  const changes = [];
+
+  for (const field of fields) {
+    const previous = snapshot(before.get(field));
+    const next = snapshot(after.get(field));
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+
+  return changes;
+};
+
+// Tries at taking the next version number before giving up
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Store the next revision of a property. Nothing is stored when no field changed.
+ * Concurrent edits race for the same version, the unique index rejects the
+ * loser with E11000 and it retries with the next free number.
+ */
+export const recordPropertyRevision = async ({
+  before,
+  after,
+  fields,
+  user,
+  action = "update",
+  restoredFrom,
+}) => {
+  const changes = diffProperty(before, after, fields);
+  if (changes.length === 0) return null;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await PropertyRevision.findOne({ property: after._id })
+      .sort({ version: -1 })
+      .select("version")
+      .lean();
+
+    try {
+      return await PropertyRevision.create({
+        property: after._id,
+        version: (last?.version || 0) + 1,
+        action,
+        changes,
+        changedBy: user?._id,
+        statusAtChange: before.status,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Field values as they were right after `version`, built by walking the
+ * newer revisions backwards. Fields untouched since then are omitted.
+ */
+export const propertyStateAtRevision = async (propertyId, version) => {
+  const newer = await PropertyRevision.find({
+    property: propertyId,
+    version: { $gt: version },
+  })
+    .sort({ version: -1 })
+    .lean();
+
+  const state = {};
+  for (const revision of newer) {
+    for (const change of revision.changes) {
+      state[change.field] = change.before;
+    }
+  }
+
+  return state;
+};
@@ -0,0 +1,235 @@
+import { User } from "../models/User.js";
+import ErrorHandler from "./ErrorHandler.js";
+import { queueTemplateEmail } from "./sendEmail.js";
+import { notifyInApp } from "./notify.js";
+
+/**
+ * Allowed status moves per role. "owner" is the listing's creator,
+ * admins can do everything an owner can plus moderation moves, and
+ * "system" is used by background jobs.
+ */
+export const PROPERTY_TRANSITIONS = {
+  draft: {
+    pending: ["owner", "admin"],
+    archived: ["owner", "admin"],
+  },
+  pending: {
+    draft: ["owner"],
+    approved: ["admin"],
+    active: ["admin"],
+    rejected: ["admin"],
+    archived: ["owner", "admin"],
+  },
+  approved: {
+    active: ["owner", "admin"],
+    hold: ["owner", "admin"],
+    archived: ["owner", "admin"],
+  },
+  active: {
+    expired: ["system", "admin"],
+    hold: ["owner", "admin"],
+    pending: ["admin"],
+    rejected: ["admin"],
+    sold: ["admin"],
+    archived: ["owner", "admin"],
+  },
+  hold: {
+    active: ["owner", "admin"],
+    rejected: ["admin"],
+    sold: ["admin"],
+    archived: ["owner", "admin"],
+  },
+  rejected: {
+    pending: ["owner", "admin"],
+    archived: ["owner", "admin"],
+  },
+  sold: {
+    archived: ["owner", "admin"],
+  },
+  archived: {
+    pending: ["admin"],
+  },
+  expired: {
+    active: ["owner", "admin"],
+    sold: ["admin"],
+    archived: ["owner", "admin"],
+  },
+};
+
+// Actor for status changes made by background jobs
+export const SYSTEM_ACTOR = { _id: null, role: "system" };
+
+// Moves that require a reason so the owner knows what to fix
+const REASON_REQUIRED = ["rejected"];
+
+const ownerIdOf = (property) => property.createdBy?._id || property.createdBy;
+
+const roleFor = (property, user) => {
+  if (user.role === "admin" || user.role === "system") return user.role;
+  return ownerIdOf(property)?.toString() === user._id.toString() ? "owner" : null;
+};
+
+// Holds placed before heldBy was recorded fall back to the status history
+const ownerPlacedHold = (property) => {
+  const heldBy =
+    property.heldBy ||
+    property.statusHistory?.findLast((entry) => entry.to === "hold")?.changedBy;
+  return Boolean(heldBy) && heldBy.toString() === ownerIdOf(property)?.toString();
+};
+
+// Roles allowed to make a move; an owner may only lift a hold they placed
+const rolesFor = (property, to) => {
+  const roles = PROPERTY_TRANSITIONS[property.status]?.[to];
+  if (roles && property.status === "hold" && to === "active" && !ownerPlacedHold(property)) {
+    return roles.filter((role) => role !== "owner");
+  }
+  return roles;
+};
+
+export const allowedTransitions = (property, user) => {
+  const role = roleFor(property, user);
+  if (!role) return [];
+
+  return Object.keys(PROPERTY_TRANSITIONS[property.status] || {}).filter((status) =>
+    rolesFor(property, status).includes(role)
+  );
+};
+
+/**
+ * Throw unless `user` may move `property` to `to`
+ */
+export const assertTransition = (property, to, user, reason) => {
+  const role = roleFor(property, user);
+  if (!role) {
+    throw new ErrorHandler("Not authorized to change this property status", 403);
+  }
+
+  if (property.status === to) {
+    throw new ErrorHandler(`Property is already '${to}'`, 400);
+  }
+
+  const roles = rolesFor(property, to);
+  if (!roles) {
+    throw new ErrorHandler(
+      `Cannot change status from '${property.status}' to '${to}'`,
+      400
+    );
+  }
+  if (!roles.includes(role)) {
+    throw new ErrorHandler(
+      `Only admin can change status from '${property.status}' to '${to}'`,
+      403
+    );
+  }
+
+  if (REASON_REQUIRED.includes(to) && !reason?.trim()) {
+    throw new ErrorHandler(`A reason is required to mark a property '${to}'`, 400);
+  }
+};
+
+export const renewUrlFor = (property) =>
+  `${process.env.CLIENT_URL}/dashboard/properties/${property._id}/renew`;
+
+const notifyOwner = async (property, from, to, reason, user) => {
+  const ownerId = ownerIdOf(property);
+
+  // Owners don't need to hear about their own actions
+  if (ownerId.toString() === user._id?.toString()) return;
+
+  const isApproval = ["approved", "active"].includes(to) && from === "pending";
+  if (!isApproval && !["rejected", "hold", "expired"].includes(to)) return;
+
+  const owner = await User.findById(ownerId).select("name email preferredLanguage");
+  if (!owner) return;
+
+  const template = isApproval
+    ? "listingApproved"
+    : to === "rejected"
+    ? "listingRejected"
+    : to === "expired"
+    ? "listingExpired"
+    : "listingOnHold";
+  const propertyUrl = `${process.env.CLIENT_URL}${property.url}`;
+
+  notifyInApp({
+    user: owner._id,
+    type: `listing_${isApproval ? "approved" : to}`,
+    title: isApproval
+      ? `Your listing "${property.title}" is approved`
+      : to === "rejected"
+      ? `Your listing "${property.title}" was rejected`
+      : to === "expired"
+      ? `Your listing "${property.title}" has expired`
+      : `Your listing "${property.title}" was put on hold`,
+    message: reason,
+    link: propertyUrl,
+    data: { propertyId: property._id, from, to },
+  });
+
+  queueTemplateEmail({
+    to: owner.email,
+    template,
+    data: {
+      name: owner.name,
+      title: property.title,
+      reason: reason || "Not specified",
+      propertyUrl,
+      renewUrl: renewUrlFor(property),
+    },
+    locale: owner.preferredLanguage,
+  });
+};
+
+/**
+ * Move a property document to a new status: validates the move, records
+ * the status history entry, saves and notifies the owner.
+ */
+export const transitionProperty = async (property, to, { user, reason } = {}) => {
+  assertTransition(property, to, user, reason);
+
+  const from = property.status;
+  const now = new Date();
+
+  property.status = to;
+  property.statusReason = reason?.trim() || undefined;
+  property.statusHistory.push({
+    from,
+    to,
+    reason: reason?.trim(),
+    changedBy: user._id,
+    role: user.role,
+    changedAt: now,
+  });
+
+  if (["approved", "rejected"].includes(to) || (to === "active" && from === "pending")) {
+    property.approvedBy = user._id;
+    property.approvedAt = now;
+  }
+  if (to === "archived") property.archivedAt = now;
+  if (to === "expired") property.expiredAt = now;
+  if (to === "hold") {
+    property.heldBy = user._id;
+    property.holdReason = reason?.trim() || undefined;
+  } else if (from === "hold") {
+    property.heldBy = undefined;
+    property.holdReason = undefined;
+  }
+
+  // Keep the moderation queue in sync: pending listings wait for review,
+  // a decision (or withdrawing the listing) takes them out of the queue
+  if (to === "pending") {
+    property.moderation = {
+      queuedAt: now,
+      reason: from === "rejected" ? "resubmitted" : "new",
+    };
+  } else if (!["hold", "active"].includes(to) || from === "pending") {
+    property.moderation = undefined;
+  }
+
+  await property.save();
+  await notifyOwner(property, from, to, reason, user).catch((error) =>
+    console.error("Status notification error:", error.message)
+  );
+
+  return property;
+};
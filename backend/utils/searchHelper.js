@@ -1,5 +1,6 @@
 // utils/searchHelpers.js
-import { Property } from "../models/Property.js";
+import { Property, PROPERTY_RENTAL_LISTING_TYPES } from "../models/Property.js";
+import { SearchQuery } from "../models/SearchQuery.js";
 
 // Price range helper
 export const getPriceRanges = () => {
@@ -25,11 +26,17 @@ export const getAreaRanges = () => {
   ];
 };
 
+// Home-loan defaults used when a buyer does not give their own terms
+export const DEFAULT_LOAN_TERMS = { rate: 8.5, tenure: 20, downPaymentPercent: 20 };
+
 // EMI Calculator
 export const calculateEMI = (principal, rate, tenure) => {
   const monthlyRate = rate / (12 * 100);
   const months = tenure * 12;
-  
+
+  if (principal <= 0) return 0;
+  if (monthlyRate === 0) return Math.round(principal / months);
+
   const emi = (principal * monthlyRate * Math.pow(1 + monthlyRate, months)) / 
               (Math.pow(1 + monthlyRate, months) - 1);
   
@@ -41,14 +48,105 @@ export const calculateMaxPrice = (emi, rate = 8.5, tenure = 20, downPayment = 20
   const monthlyRate = rate / (12 * 100);
   const months = tenure * 12;
   
-  const loanAmount = (emi * (Math.pow(1 + monthlyRate, months) - 1)) / 
-                     (monthlyRate * Math.pow(1 + monthlyRate, months));
+  const loanAmount = monthlyRate === 0
+    ? emi * months
+    : (emi * (Math.pow(1 + monthlyRate, months) - 1)) / 
+      (monthlyRate * Math.pow(1 + monthlyRate, months));
   
   const totalPrice = loanAmount / (1 - downPayment/100);
   
   return Math.round(totalPrice);
 };
 
+/**
+ * Loan terms from query params (rate, tenure, downPayment amount or
+ * downPaymentPercent), falling back to DEFAULT_LOAN_TERMS.
+ * Returns { terms } or { error }.
+ */
+export const parseLoanTerms = (params = {}) => {
+  const terms = { ...DEFAULT_LOAN_TERMS };
+
+  const numberParam = (key, min, max) => {
+    if (params[key] === undefined || params[key] === '') return undefined;
+    const value = Number(params[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  try {
+    terms.rate = numberParam('rate', 0, 30) ?? terms.rate;
+    terms.tenure = numberParam('tenure', 1, 40) ?? terms.tenure;
+
+    const downPayment = numberParam('downPayment', 0, Number.MAX_SAFE_INTEGER);
+    const downPaymentPercent = numberParam('downPaymentPercent', 0, 90);
+    if (downPayment !== undefined) {
+      terms.downPayment = downPayment;
+      delete terms.downPaymentPercent;
+    } else if (downPaymentPercent !== undefined) {
+      terms.downPaymentPercent = downPaymentPercent;
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { terms };
+};
+
+// Down payment for a price: a fixed amount (capped at the price) or a percentage
+export const downPaymentFor = (price, terms) =>
+  terms.downPayment !== undefined
+    ? Math.min(terms.downPayment, price)
+    : Math.round((price * terms.downPaymentPercent) / 100);
+
+// Monthly EMI to buy a property at `price` on the given terms
+export const estimateEMI = (price, terms = DEFAULT_LOAN_TERMS) =>
+  calculateEMI(price - downPaymentFor(price, terms), terms.rate, terms.tenure);
+
+// Highest price a monthly EMI can pay for, on the given terms
+export const affordablePrice = (emi, terms = DEFAULT_LOAN_TERMS) => {
+  if (terms.downPayment !== undefined) {
+    return calculateMaxPrice(emi, terms.rate, terms.tenure, 0) + terms.downPayment;
+  }
+  return calculateMaxPrice(emi, terms.rate, terms.tenure, terms.downPaymentPercent);
+};
+
+/**
+ * Month-by-month repayment of a loan, plus a per-year summary
+ */
+export const buildAmortizationSchedule = (principal, rate, tenure) => {
+  const monthlyRate = rate / (12 * 100);
+  const emi = calculateEMI(principal, rate, tenure);
+  const monthly = [];
+  const yearly = [];
+  let balance = principal;
+
+  const months = tenure * 12;
+
+  for (let month = 1; month <= months && balance > 0; month += 1) {
+    const interest = Math.round(balance * monthlyRate);
+    // The last instalment clears whatever rounding left over
+    const principalPaid = month === months ? balance : Math.min(emi - interest, balance);
+    balance = Math.max(balance - principalPaid, 0);
+    monthly.push({
+      month,
+      emi: principalPaid + interest,
+      principal: principalPaid,
+      interest,
+      balance,
+    });
+
+    const year = Math.ceil(month / 12);
+    if (!yearly[year - 1]) yearly[year - 1] = { year, principal: 0, interest: 0, balance };
+    yearly[year - 1].principal += principalPaid;
+    yearly[year - 1].interest += interest;
+    yearly[year - 1].balance = balance;
+  }
+
+  return { emi, monthly, yearly };
+};
+
 // Search query builder
 export const buildSearchQuery = (params) => {
   const query = {};
@@ -95,7 +193,8 @@ export const getSortOptions = () => {
     'newest': { createdAt: -1 },
     'oldest': { createdAt: 1 },
     'popular': { viewCount: -1, createdAt: -1 },
-    'featured': { isFeatured: -1, priority: -1, createdAt: -1 }
+    'featured': { isFeatured: -1, priority: -1, createdAt: -1 },
+    'distance': { distanceMeters: 1 } // needs lat, lng and radius
   };
 };
 
@@ -135,110 +234,344 @@ export const getPopularLocations = async (limit = 20) => {
   return locations;
 };
 
-// Get trending searches
-export const getTrendingSearches = async () => {
-  // This would typically come from search analytics
-  // For now, returning popular combinations
-  const trending = await Property.aggregate([
-    { $match: { status: 'active', viewCount: { $gte: 10 } } },
+// Get trending searches from recorded search analytics
+export const getTrendingSearches = async (days = 7, limit = 10) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const trending = await SearchQuery.aggregate([
+    { $match: { source: 'search', createdAt: { $gte: since } } },
     {
       $group: {
-        _id: {
-          city: '$location.city',
-          propertyType: '$propertyType',
-          bedrooms: '$bedrooms'
-        },
-        searchCount: { $sum: '$viewCount' },
-        avgPrice: { $avg: '$price' }
+        _id: '$signature',
+        query: { $first: '$query' },
+        filters: { $first: '$filters' },
+        searchCount: { $sum: 1 },
+        avgResults: { $avg: '$resultCount' }
       }
     },
     { $sort: { searchCount: -1 } },
-    { $limit: 10 },
+    { $limit: limit },
     {
       $project: {
         _id: 0,
-        searchTerm: {
-          $concat: [
-            { $toString: '$_id.bedrooms' }, 
-            ' BHK ', 
-            '$_id.propertyType', 
-            ' in ', 
-            '$_id.city'
-          ]
-        },
+        searchTerm: '$_id',
+        query: 1,
+        filters: 1,
         popularity: '$searchCount',
-        avgPrice: { $round: '$avgPrice' }
+        avgResults: { $round: '$avgResults' }
       }
     }
   ]);
-  
+
   return trending;
 };
 
-// Price prediction based on location and property type
-export const getPricePrediction = async (city, propertyType, bedrooms, areaSqft) => {
-  const similar = await Property.aggregate([
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALUATION_RADIUS_KM = 5;
+const VALUATION_MIN_COMPARABLES = 3;
+const VALUATION_MAX_COMPARABLES = 20;
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Value of the weighted sample at quantile q (0..1)
+const weightedQuantile = (items, q) => {
+  const sorted = [...items].sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, item) => sum + item.weight, 0);
+  let running = 0;
+  for (const item of sorted) {
+    running += item.weight;
+    if (running >= total * q) return item.value;
+  }
+  return sorted[sorted.length - 1].value;
+};
+
+/**
+ * Estimate a price from comparable active/sold listings. Comparables are
+ * weighted by distance (or same locality), recency and size similarity;
+ * the estimate is the weighted median price per sqft and the range its
+ * 20th-80th percentile band. Rentals are valued on monthly rent.
+ */
+export const getPricePrediction = async ({
+  city,
+  area,
+  propertyType,
+  bedrooms,
+  areaSqft,
+  lat,
+  lng,
+  listingType = 'sale',
+  excludeId,
+} = {}) => {
+  const isRental = PROPERTY_RENTAL_LISTING_TYPES.includes(listingType);
+  const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lng);
+
+  const match = {
+    status: { $in: ['active', 'sold'] },
+    listingType: isRental ? listingType : { $nin: PROPERTY_RENTAL_LISTING_TYPES },
+    areaSqft: { $gte: areaSqft * 0.7, $lte: areaSqft * 1.3 },
+  };
+  if (propertyType) match.propertyType = propertyType;
+  if (Number.isFinite(bedrooms)) match.bedrooms = bedrooms;
+  if (excludeId) match._id = { $ne: excludeId };
+  // Coordinates are more precise than the city name when we have them
+  if (city && !hasCoordinates) {
+    match['location.city'] = new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+  }
+
+  const pipeline = hasCoordinates
+    ? [
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [lng, lat] },
+            distanceField: 'distanceMeters',
+            maxDistance: VALUATION_RADIUS_KM * 1000,
+            query: match,
+            spherical: true,
+          },
+        },
+      ]
+    : [{ $match: match }, { $sort: { lastRefreshedAt: -1 } }];
+
+  const candidates = await Property.aggregate([
+    ...pipeline,
+    { $limit: 200 },
     {
-      $match: {
-        status: 'active',
-        'location.city': { $regex: city, $options: 'i' },
-        propertyType,
-        bedrooms,
-        areaSqft: { $gte: areaSqft * 0.8, $lte: areaSqft * 1.2 }
-      }
+      $project: {
+        title: 1, slug: 1, status: 1, price: 1, monthlyRent: 1, listingType: 1,
+        rentPeriod: 1, areaSqft: 1, bedrooms: 1, 'location.area': 1,
+        distanceMeters: 1, priceChangedAt: 1, lastRefreshedAt: 1, createdAt: 1,
+      },
     },
-    {
-      $group: {
-        _id: null,
-        avgPrice: { $avg: '$price' },
-        minPrice: { $min: '$price' },
-        maxPrice: { $max: '$price' },
-        count: { $sum: 1 },
-        avgPricePerSqft: { $avg: { $divide: ['$price', '$areaSqft'] } }
-      }
-    }
   ]);
-  
-  if (similar.length === 0) {
+
+  const now = Date.now();
+  const areaName = area?.trim().toLowerCase();
+
+  const comparables = candidates
+    .map((candidate) => {
+      const value = isRental ? candidate.monthlyRent ?? candidate.price : candidate.price;
+      const pricedAt = candidate.priceChangedAt || candidate.lastRefreshedAt || candidate.createdAt;
+      const ageDays = Math.max((now - new Date(pricedAt)) / DAY_MS, 0);
+      const distanceKm = hasCoordinates ? candidate.distanceMeters / 1000 : null;
+
+      const locationWeight = hasCoordinates
+        ? 1 / (1 + distanceKm)
+        : !areaName || candidate.location?.area?.toLowerCase() === areaName ? 1 : 0.5;
+      const recencyWeight = 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+      const sizeWeight = Math.max(1 - Math.abs(candidate.areaSqft - areaSqft) / areaSqft, 0.2);
+
+      return {
+        candidate,
+        value,
+        pricePerSqft: value / candidate.areaSqft,
+        distanceKm,
+        ageDays,
+        weight: locationWeight * recencyWeight * sizeWeight,
+      };
+    })
+    .filter((comparable) => comparable.value > 0 && comparable.candidate.areaSqft > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, VALUATION_MAX_COMPARABLES);
+
+  if (comparables.length < VALUATION_MIN_COMPARABLES) {
     return {
       prediction: null,
       confidence: 'low',
+      sampleSize: comparables.length,
+      comparables: [],
       message: 'Not enough data for prediction'
     };
   }
-  
-  const data = similar[0];
-  const confidence = data.count >= 10 ? 'high' : data.count >= 5 ? 'medium' : 'low';
-  
+
+  const perSqft = comparables.map(({ pricePerSqft, weight }) => ({ value: pricePerSqft, weight }));
+  const median = weightedQuantile(perSqft, 0.5);
+  const low = weightedQuantile(perSqft, 0.2);
+  const high = weightedQuantile(perSqft, 0.8);
+
+  const totalWeight = comparables.reduce((sum, { weight }) => sum + weight, 0);
+  const effectiveSampleSize =
+    totalWeight ** 2 / comparables.reduce((sum, { weight }) => sum + weight ** 2, 0);
+  const spread = (high - low) / median;
+
+  const confidence =
+    effectiveSampleSize >= 8 && spread <= 0.3 ? 'high'
+      : effectiveSampleSize >= 4 && spread <= 0.5 ? 'medium'
+        : 'low';
+
   return {
     prediction: {
-      estimatedPrice: Math.round(data.avgPrice),
+      estimatedPrice: Math.round(median * areaSqft),
       priceRange: {
-        min: Math.round(data.minPrice),
-        max: Math.round(data.maxPrice)
+        min: Math.round(low * areaSqft),
+        max: Math.round(high * areaSqft)
       },
-      pricePerSqft: Math.round(data.avgPricePerSqft),
-      estimatedForArea: Math.round(data.avgPricePerSqft * areaSqft)
+      pricePerSqft: Math.round(median),
+      priceBasis: isRental ? 'monthlyRent' : 'price'
     },
     confidence,
-    sampleSize: data.count,
-    message: `Based on ${data.count} similar properties`
+    sampleSize: comparables.length,
+    effectiveSampleSize: Math.round(effectiveSampleSize * 10) / 10,
+    comparables: comparables.map(({ candidate, value, pricePerSqft, distanceKm, ageDays, weight }) => ({
+      _id: candidate._id,
+      title: candidate.title,
+      slug: candidate.slug,
+      status: candidate.status,
+      listingType: candidate.listingType,
+      price: candidate.price,
+      rentPeriod: candidate.rentPeriod,
+      value,
+      areaSqft: candidate.areaSqft,
+      bedrooms: candidate.bedrooms,
+      area: candidate.location?.area,
+      pricePerSqft: Math.round(pricePerSqft),
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+      ageDays: Math.round(ageDays),
+      weight: Math.round((weight / totalWeight) * 1000) / 1000,
+    })),
+    message: `Based on ${comparables.length} comparable properties`
   };
 };
 
-// Search analytics helper
-export const trackSearchQuery = async (query, userId = null, results = 0) => {
-  // This would typically save to a search analytics collection
-  // For now, just log the search
-  console.log('Search Query:', {
-    query,
-    userId,
-    results,
-    timestamp: new Date()
+const PRICE_BADGES = {
+  below_market: 'Below market',
+  fairly_priced: 'Fairly priced',
+  above_market: 'Above market',
+};
+
+// Where an asking price sits against a valuation (null when unsure)
+export const priceBadgeFor = (askingPrice, valuation) => {
+  const { prediction, confidence } = valuation || {};
+  if (!prediction || confidence === 'low' || !askingPrice) return null;
+
+  const { estimatedPrice, priceRange } = prediction;
+  const badge =
+    askingPrice > priceRange.max ? 'above_market'
+      : askingPrice < priceRange.min ? 'below_market'
+        : 'fairly_priced';
+
+  return {
+    badge,
+    label: PRICE_BADGES[badge],
+    estimatedPrice,
+    priceRange,
+    differencePercent: Math.round(((askingPrice - estimatedPrice) / estimatedPrice) * 1000) / 10,
+    confidence,
+  };
+};
+
+const PRICE_BADGE_MAX_AGE_MS =
+  (Number(process.env.PRICE_BADGE_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Price badge of a listing, cached on the listing (priceBadgeCache) until
+ * its asking price changes or PRICE_BADGE_MAX_AGE_HOURS pass, so detail
+ * views don't run the comparables aggregation on every read.
+ * `property` must be loaded with +priceBadgeCache.
+ */
+export const priceBadgeForListing = async (property) => {
+  const isRental = PROPERTY_RENTAL_LISTING_TYPES.includes(property.listingType);
+  const askingPrice = isRental ? property.monthlyRent ?? property.price : property.price;
+
+  const cached = property.priceBadgeCache;
+  if (
+    cached?.computedAt &&
+    cached.askingPrice === askingPrice &&
+    Date.now() - new Date(cached.computedAt).getTime() < PRICE_BADGE_MAX_AGE_MS
+  ) {
+    return cached.badge ?? null;
+  }
+
+  const [lng, lat] = property.location?.coordinates?.coordinates || [];
+  const valuation = await getPricePrediction({
+    city: property.location?.city,
+    area: property.location?.area,
+    propertyType: property.propertyType,
+    bedrooms: property.bedrooms,
+    areaSqft: property.areaSqft,
+    lat,
+    lng,
+    listingType: property.listingType,
+    excludeId: property._id,
+  }).catch(() => null);
+
+  // A failed valuation only hides the badge and is retried on the next view
+  if (!valuation) return null;
+
+  const badge = priceBadgeFor(askingPrice, valuation);
+  await Property.updateOne(
+    { _id: property._id },
+    { $set: { priceBadgeCache: { badge, askingPrice, computedAt: new Date() } } }
+  );
+
+  return badge;
+};
+
+// Filters worth recording (pagination and cache-busting params are dropped)
+const TRACKED_FILTERS = [
+  'city', 'area', 'state', 'pincode', 'locality',
+  'minPrice', 'maxPrice', 'priceRange', 'budget',
+  'bedrooms', 'bathrooms', 'minArea', 'maxArea', 'propertyType',
+  'furnishing', 'parking', 'age', 'facing', 'amenities',
+  'lat', 'lng', 'radius', 'metro', 'landmark', 'sortBy', 'type',
+  'priceDropped', 'listingType', 'tenantPreference', 'petsAllowed', 'emi'
+];
+
+const normalizeText = (value) =>
+  String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Lowercase values and sort comma lists so equivalent searches group together
+export const normalizeSearchFilters = (params = {}) => {
+  const filters = {};
+
+  TRACKED_FILTERS.forEach((key) => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') return;
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    filters[key] = list
+      .map(normalizeText)
+      .filter(Boolean)
+      .sort()
+      .join(',');
   });
-  
-  // You can implement proper search analytics tracking here
-  // Example: SavedSearchAnalytics.create({ query, userId, results, timestamp: new Date() });
+
+  return filters;
+};
+
+// Search analytics helper - never throws, tracking must not break search
+export const trackSearchQuery = async ({
+  source = 'search',
+  params = {},
+  userId = null,
+  resultCount = 0,
+  latencyMs
+}) => {
+  try {
+    const rawQuery = params.q || params.search;
+    const query = rawQuery ? normalizeText(rawQuery) : undefined;
+    const filters = normalizeSearchFilters(params);
+
+    const signature = [
+      query ? `q=${query}` : null,
+      ...Object.keys(filters).sort().map((key) => `${key}=${filters[key]}`)
+    ]
+      .filter(Boolean)
+      .join('&') || '(all)';
+
+    await SearchQuery.create({
+      source,
+      query,
+      filters,
+      signature,
+      city: filters.city,
+      resultCount,
+      latencyMs,
+      user: userId
+    });
+  } catch (error) {
+    console.error('Search tracking error:', error.message);
+  }
 };
 
 // Auto-suggest locations
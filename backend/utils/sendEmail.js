@@ -1,24 +1,111 @@
 import nodemailer from "nodemailer";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { renderTemplate } from "./emailTemplates.js";
 
-export const sendEmail = async ({ to, subject, text, html }) => {
+const emailOutboxDir = () =>
+  path.join(process.env.OUTBOX_DIR || "outbox", "email");
+
+// EMAIL_TRANSPORT=outbox writes messages to disk instead of sending them;
+// it is the default outside production when no SMTP host is configured.
+export const isOutboxMode = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT === "outbox";
+  return process.env.NODE_ENV !== "production" && !process.env.SMTP_HOST;
+};
+
+let transporter;
+
+// One pooled SMTP transport shared by every send
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      pool: true,
+      maxConnections: Number(process.env.SMTP_MAX_CONNECTIONS) || 5,
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT),
+      secure: false,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  }
+  return transporter;
+};
+
+const writeToOutbox = async (message) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const dir = emailOutboxDir();
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ id, ...message, createdAt: new Date() }, null, 2)
+  );
+
+  console.log(`[email] to ${message.to}: ${message.subject} (outbox ${id})`);
+  return { messageId: id };
+};
+
+export const sendEmail = async ({ to, subject, text, html, template }) => {
   if (!to) throw new Error("Recipient email is missing");
 
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: Number(process.env.SMTP_PORT),
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-  const info = await transporter.sendMail({
+  const message = {
     from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_USER}>`,
     to,
     subject,
     text,
     html,
-  });
+  };
+
+  if (isOutboxMode()) return writeToOutbox({ ...message, template });
+
+  const info = await getTransporter().sendMail(message);
   console.log("Email sent successfully", info.messageId);
   return info;
 };
+
+/**
+ * Render a registered template and send it
+ */
+export const sendTemplateEmail = ({ to, template, data, locale = "en" }) => {
+  const { subject, text, html } = renderTemplate(template, data, locale);
+  return sendEmail({ to, subject, text, html, template });
+};
+
+/**
+ * List outbox messages, newest first
+ */
+export const listOutboxEmails = async ({ to, template, limit = 50 } = {}) => {
+  const dir = emailOutboxDir();
+  const files = await fs.readdir(dir).catch(() => []);
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map(async (file) =>
+        JSON.parse(await fs.readFile(path.join(dir, file), "utf8"))
+      )
+  );
+
+  return messages
+    .filter((message) => !to || message.to === to)
+    .filter((message) => !template || message.template === template)
+    .slice(0, limit);
+};
+
+export const clearOutboxEmails = async () => {
+  await fs.rm(emailOutboxDir(), { recursive: true, force: true });
+};
+
+// Fire-and-forget variant for notifications that must not fail the request
+export const queueTemplateEmail = (options) => {
+  if (!options.to) return Promise.resolve(null);
+  return sendTemplateEmail(options).catch((error) => {
+    console.error(`Email (${options.template}) error:`, error.message);
+    return null;
+  });
+};
@@ -0,0 +1,77 @@
+import { Session } from "../models/Session.js";
+import {
+  signToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiryAfter,
+} from "./jwt.js";
+
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent") || "unknown",
+  ip: req.ip,
+});
+
+const accessTokenFor = (user, session) =>
+  signToken({ id: user._id, role: user.role, sid: session._id });
+
+/**
+ * Start a new device session and issue its access + refresh tokens
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiryAfter(),
+    ...clientInfo(req),
+  });
+
+  return { token: accessTokenFor(user, session), refreshToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting an already-rotated token revokes the whole session.
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      await reused.save();
+    }
+    return null;
+  }
+
+  if (!session.isActive()) return null;
+
+  await session.populate("user", "role");
+  if (!session.user) return null;
+
+  const nextRefreshToken = generateRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastSeenAt = new Date();
+  Object.assign(session, clientInfo(req));
+  await session.save();
+
+  return {
+    token: accessTokenFor(session.user, session),
+    refreshToken: nextRefreshToken,
+    session,
+  };
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+export const revokeUserSessions = (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
@@ -0,0 +1,89 @@
+import { SmsMessage } from "../models/SmsMessage.js";
+import ErrorHandler from "./ErrorHandler.js";
+import { toE164 } from "./phone.js";
+import { smsProviders } from "./smsProviders.js";
+
+let provider;
+
+// Settings each provider needs before it can send anything
+const REQUIRED_SETTINGS = {
+  twilio: ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "TWILIO_PHONE_NUMBER"],
+  webhook: ["SMS_WEBHOOK_URL"],
+  console: [],
+};
+
+/**
+ * SMS_PROVIDER names the transport. Outside production it defaults to the
+ * console outbox, production must set it explicitly since the outbox logs
+ * message bodies. Throws when the provider is missing, unknown or lacks
+ * its settings.
+ */
+export const assertSmsConfigured = () => {
+  const name =
+    process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  const known = Object.keys(smsProviders);
+
+  if (!name) {
+    throw new Error(`SMS_PROVIDER is not set (use one of: ${known.join(", ")})`);
+  }
+  if (!known.includes(name)) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  const missing = REQUIRED_SETTINGS[name].filter((key) => !process.env[key]);
+  if (missing.length) {
+    throw new Error(`SMS provider "${name}" needs ${missing.join(", ")}`);
+  }
+
+  return name;
+};
+
+const getProvider = () => {
+  if (provider) return provider;
+
+  provider = smsProviders[assertSmsConfigured()]();
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider and record its delivery status.
+ * `storedBody` replaces the text kept in the log for messages carrying secrets.
+ */
+export const sendSms = async ({ to, body, purpose, storedBody = body }) => {
+  const phone = toE164(to);
+  if (!phone) throw new ErrorHandler("Invalid mobile number", 400);
+
+  const sms = getProvider();
+  const record = await SmsMessage.create({
+    to: phone,
+    body: storedBody,
+    purpose,
+    provider: sms.name,
+  });
+
+  try {
+    const result = await sms.send({ to: phone, body });
+    record.providerMessageId = result.id;
+    record.status = result.status;
+    record.sentAt = new Date();
+    await record.save();
+    return record;
+  } catch (error) {
+    console.error(`SMS (${sms.name}) error:`, error);
+    record.status = "failed";
+    record.error = error.message;
+    await record.save();
+    throw new ErrorHandler("Failed to send SMS", 502);
+  }
+};
+
+const otpMessage = (otp) => `Your verification OTP is: ${otp}`;
+
+export const sendOtp = (mobile, otp, purpose = "otp") =>
+  sendSms({
+    to: mobile,
+    body: otpMessage(otp),
+    storedBody: otpMessage("••••••"),
+    purpose,
+  });
@@ -0,0 +1,125 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Every SMS provider exposes: send({ to, body }) -> { id, status }
+ * where `to` is already in E.164 format and status is one of
+ * "queued" | "sent" | "delivered".
+ */
+
+// Twilio (production)
+export const createTwilioProvider = () => {
+  let client;
+
+  return {
+    name: "twilio",
+    async send({ to, body }) {
+      if (!client) {
+        const { default: twilio } = await import("twilio");
+        client = twilio(
+          process.env.TWILIO_ACCOUNT_SID,
+          process.env.TWILIO_AUTH_TOKEN
+        );
+      }
+
+      const message = await client.messages.create({
+        body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+      });
+
+      return {
+        id: message.sid,
+        status: message.status === "delivered" ? "delivered" : "sent",
+      };
+    },
+  };
+};
+
+// Console + file outbox (default outside production)
+export const createConsoleProvider = () => {
+  const outboxDir = process.env.OUTBOX_DIR || "outbox";
+
+  return {
+    name: "console",
+    async send({ to, body }) {
+      const id = crypto.randomUUID();
+      const entry = { id, to, body, createdAt: new Date().toISOString() };
+
+      console.log(`[sms] to ${to}: ${body}`);
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.appendFile(
+        path.join(outboxDir, "sms.jsonl"),
+        `${JSON.stringify(entry)}\n`
+      );
+
+      return { id, status: "delivered" };
+    },
+  };
+};
+
+// Generic HTTP webhook (any gateway or a local stub)
+export const createWebhookProvider = () => {
+  const url = process.env.SMS_WEBHOOK_URL;
+
+  return {
+    name: "webhook",
+    async send({ to, body }) {
+      if (!url) throw new Error("SMS_WEBHOOK_URL is not configured");
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.SMS_WEBHOOK_TOKEN && {
+            Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`,
+          }),
+        },
+        body: JSON.stringify({ to, body, from: process.env.SMS_SENDER_ID }),
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS webhook responded with ${response.status}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      return {
+        id: data.id || data.messageId || null,
+        status: ["queued", "sent", "delivered"].includes(data.status)
+          ? data.status
+          : "sent",
+      };
+    },
+  };
+};
+
+export const smsProviders = {
+  twilio: createTwilioProvider,
+  console: createConsoleProvider,
+  webhook: createWebhookProvider,
+};
+
+/**
+ * Read messages written by the console provider, newest first
+ */
+export const listOutboxSms = async ({ to, limit = 50 } = {}) => {
+  const file = path.join(process.env.OUTBOX_DIR || "outbox", "sms.jsonl");
+  const content = await fs.readFile(file, "utf8").catch(() => "");
+
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((message) => !to || message.to === to)
+    .reverse()
+    .slice(0, limit);
+};
+
+export const clearOutboxSms = async () => {
+  await fs.rm(path.join(process.env.OUTBOX_DIR || "outbox", "sms.jsonl"), {
+    force: true,
+  });
+};
@@ -0,0 +1,94 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Storage adapters expose:
+ *   put(key, buffer, contentType) -> public URL
+ *   remove(key)
+ * STORAGE_DRIVER selects the adapter ("local" by default, or "s3").
+ */
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+
+// Local disk, served by express.static at /uploads
+const createLocalStorage = () => {
+  const baseUrl = process.env.UPLOAD_PUBLIC_URL || "/uploads";
+
+  return {
+    name: "local",
+    async put(key, buffer) {
+      const filePath = path.join(UPLOAD_DIR, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+    },
+  };
+};
+
+// Any S3-compatible bucket (AWS S3, MinIO, R2, ...)
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  let client;
+  let commands;
+
+  const getClient = async () => {
+    if (!client) {
+      commands = await import("@aws-sdk/client-s3");
+      client = new commands.S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        },
+      });
+    }
+    return client;
+  };
+
+  const publicUrl = (key) =>
+    process.env.S3_PUBLIC_URL
+      ? `${process.env.S3_PUBLIC_URL}/${key}`
+      : `https://${bucket}.s3.amazonaws.com/${key}`;
+
+  return {
+    name: "s3",
+    async put(key, buffer, contentType) {
+      const s3 = await getClient();
+      await s3.send(
+        new commands.PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+      return publicUrl(key);
+    },
+    async remove(key) {
+      const s3 = await getClient();
+      await s3.send(new commands.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage;
+
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[driver]) throw new Error(`Unknown storage driver: ${driver}`);
+    storage = drivers[driver]();
+  }
+  return storage;
+};